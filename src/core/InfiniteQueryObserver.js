@@ -0,0 +1,587 @@
+import { CancelledError, toQueryError } from './errors.js';
+import { isInfiniteData } from './mutations.js';
+import { QueryObserver } from './QueryObserver.js';
+import { sendRequest } from './transports.js';
+import { hashKey, isStale, mapWithConcurrency, QueryStatus } from './utils.js';
+
+/**
+ * InfiniteQueryObserver — a QueryObserver for paginated lists.
+ *
+ * The whole list is one cache entry holding `{ pages, pageParams }`, so everything
+ * QueryObserver does for a query (stale time, refetch on focus / reconnect / interval,
+ * retries, pausing offline, GC, updateOptions) applies to the list as a whole:
+ *   - the first fetch loads the start page
+ *   - a refetch (refetch(), invalidation, focus…) reloads the loaded pages
+ *   - fetchNextPage() / fetchPreviousPage() add a page at either end
+ *
+ * Pages are fetched with `fetchPage({ pageParam, signal })`; page params come from
+ * `getNextPageParam` / `getPreviousPageParam` (see pagination.js for ready-made ones):
+ *
+ *   const strategy = getPaginationStrategy('page');
+ *   new InfiniteQueryObserver({
+ *       queryKey: 'posts',
+ *       initialPageParam: 1,
+ *       fetchPage: ({ pageParam, signal }) => api.getPosts(pageParam, { signal }),
+ *       getNextPageParam: (lastPage, lastPageParam) => strategy.getNextPageParam(lastPage, lastPageParam, {}),
+ *       onChange: state => render(state.pages),
+ *   });
+ *
+ * Without a fetchPage, each page is sent by a transport (see transports.js) from
+ * `request(pageParam)`, e.g. with the GraphQL connection preset of pagination.js:
+ *
+ *   const connection = getPaginationStrategy('connection');
+ *   const pagination = { connectionPath: 'posts', pageSize: 20 };
+ *   new InfiniteQueryObserver({
+ *       queryKey: 'posts',
+ *       initialPageParam: null,
+ *       transport: 'graphql',
+ *       request: pageParam => ({
+ *           url: '/graphql',
+ *           query: POSTS_QUERY,
+ *           params: connection.getRequestParams(pageParam, pagination),
+ *       }),
+ *       getNextPageParam: (lastPage, lastPageParam) =>
+ *           connection.getNextPageParam(lastPage, lastPageParam, pagination),
+ *       refetchInSequence: true,
+ *       onChange,
+ *   });
+ *
+ * Each loaded page is also written to its own cache entry, keyed by the query key, params
+ * and `getPageKeyParts(pageParam)` (see pagination.js), in the same family. Pages are
+ * read from there while fresh: evicted pages loaded again, jumpToPage(), and pages
+ * prefetched with prefetchNextPage (which other lists of the same key can use too).
+ * reset() and refetches always request the pages.
+ *
+ * Only one request runs per list at a time: fetchNextPage() and fetchPreviousPage()
+ * do nothing while the list is fetching.
+ */
+
+/**
+ * Wait for a request another caller started (e.g. a prefetch).
+ * @param {Promise}     promise
+ * @param {AbortSignal} [signal] - Rejects with a CancelledError when it aborts
+ * @returns {Promise<{data: *}|null>} The data, or null if the request failed
+ */
+function joinRequest(promise, signal) {
+    if (signal && signal.aborted) return Promise.reject(new CancelledError());
+    return new Promise((resolve, reject) => {
+        const handleAbort = () => reject(new CancelledError());
+        if (signal) signal.addEventListener('abort', handleAbort, { once: true });
+        promise
+            .then(data => resolve({ data }), () => resolve(null))
+            .finally(() => {
+                if (signal) signal.removeEventListener('abort', handleAbort);
+            });
+    });
+}
+
+/**
+ * @param {*} data
+ * @returns {boolean} true for infinite data with at least one page
+ */
+function hasPages(data) {
+    return isInfiniteData(data) && data.pages.length > 0;
+}
+
+export class InfiniteQueryObserver extends QueryObserver {
+    /**
+     * @param {Object}   options                      - QueryObserver options (fetchFn excepted), plus:
+     * @param {Function} [options.fetchPage]          - Async function ({ pageParam, signal }) returning a page.
+     *                                                  Its errors are wrapped in a QueryError with the pageParam
+     * @param {string|Object} [options.transport='rest'] - Transport sending `request` when there is no fetchPage
+     * @param {Function} [options.request]            - (pageParam) => TransportRequest of a page
+     * @param {*}        options.initialPageParam     - Lowest page param
+     * @param {*}        [options.startPageParam]     - Page loaded first (default: initialPageParam)
+     * @param {Function} options.getNextPageParam     - (lastPage, lastPageParam) => param, undefined = last page
+     * @param {Function} [options.getPreviousPageParam] - (firstPage, firstPageParam) => param, undefined = first page
+     * @param {Function} [options.getPageKeyParts]  - (pageParam) => key parts of the page's cache entry
+     *                                                  (default: ['page', pageParam])
+     * @param {boolean}  [options.refetchInSequence=false] - Refetch pages one after the other, each param
+     *                                                      read from the previous page (cursors)
+     * @param {number}   [options.refetchConcurrency=4] - Max pages requested in parallel when refetching
+     * @param {number}   [options.refetchPageLimit=0]  - Only refetch the first N pages, drop the rest (0 = all)
+     * @param {number}   [options.maxPages=0]          - Max pages in the list (0 = unlimited)
+     * @param {boolean}  [options.prefetchNextPage=false] - Load the next page into the cache after each page
+     * @param {boolean}  [options.keepPreviousData=false] - Show the previous list while a new key loads
+     * @param {*}        [options.placeholderData]     - Page shown while the first page loads (not cached)
+     * @param {*}        [options.initialData]         - Start page written to an empty cache entry
+     */
+    constructor(options) {
+        super({
+            refetchInSequence: false,
+            refetchConcurrency: 4,
+            refetchPageLimit: 0,
+            maxPages: 0,
+            prefetchNextPage: false,
+            keepPreviousData: false,
+            ...options,
+        });
+
+        // Sliding window (maxPages): params of pages evicted before/after the loaded ones,
+        // in list order. They are loaded first when going back in that direction.
+        this._evictedBefore = [];
+        this._evictedAfter = [];
+        // Page set by jumpToPage(); overrides startPageParam until the next reset
+        this._jumpPageParam = undefined;
+        // 'next' | 'previous' while fetchNextPage / fetchPreviousPage runs
+        this._fetchDirection = null;
+        // Param of the page this list loaded last, at either end (currentPage)
+        this._lastLoadedPageParam = undefined;
+        // List shown while the new one loads (keepPreviousData), until it has data
+        this._previousData = null;
+        // Cache key of the next page prefetched by this list, used once even if stale
+        this._prefetchedPageKey = null;
+        // False while reset() reloads the start page: it is requested, not read from the cache
+        this._startPageFromCache = true;
+        // { page, data }: placeholderData wrapped as a list, kept for stable references
+        this._placeholder = null;
+    }
+
+    mount() {
+        if (!this._mounted) this._seedInitialData();
+        super.mount();
+    }
+
+    /**
+     * Reload the loaded pages (all of them, or the first pageLimit ones).
+     * @param {Object} [options]
+     * @param {number} [options.pageLimit] - Overrides the refetchPageLimit option
+     * @returns {Promise<Object|undefined>} The list data
+     */
+    async refetch({ pageLimit } = {}) {
+        if (!this._compositeKey) return undefined;
+        return this._executeFetch(this._createFetchFn('refetch', { pageLimit }));
+    }
+
+    /**
+     * Load the page after the last one.
+     * @returns {Promise<{pageParam: *, page: *}|undefined>} undefined if nothing was loaded
+     *          (no next page, list fetching, cancelled)
+     */
+    fetchNextPage() {
+        return this._fetchPageInDirection('next');
+    }
+
+    /**
+     * Load the page before the first one.
+     * @returns {Promise<{pageParam: *, page: *}|undefined>}
+     */
+    fetchPreviousPage() {
+        return this._fetchPageInDirection('previous');
+    }
+
+    /**
+     * Drop the list and load it again from the start page.
+     * @param {Object}  [options]
+     * @param {boolean} [options.keepPreviousData=false] - Show the current list until the start page arrives
+     * @returns {Promise<Object|undefined>} The list data
+     */
+    reset({ keepPreviousData = false } = {}) {
+        this._jumpPageParam = undefined;
+        return this._restart(keepPreviousData, false);
+    }
+
+    /**
+     * Restart the list at another page, read from the cache while fresh. The pages
+     * before it stay reachable through fetchPreviousPage().
+     * @param {*} [pageParam] - undefined = the start page
+     * @returns {Promise<Object|undefined>} The list data
+     */
+    jumpToPage(pageParam) {
+        this._jumpPageParam = pageParam;
+        return this._restart(false, true);
+    }
+
+    updateOptions(newOptions) {
+        if ('prefetchNextPage' in newOptions && !newOptions.prefetchNextPage) {
+            this._prefetchedPageKey = null;
+        }
+        if ('maxPages' in newOptions && newOptions.maxPages !== this._options.maxPages) {
+            // Evicted pages were relative to the old window
+            this._evictedBefore = [];
+            this._evictedAfter = [];
+        }
+        super.updateOptions(newOptions);
+    }
+
+    // --- Private ---
+
+    _getCompositeKey(params) {
+        // Page keys use the same params
+        this._params = params;
+        // Not shared with a regular query of the same key and params: the data has another shape
+        if (!params || (typeof params === 'object' && Object.keys(params).length === 0)) {
+            return hashKey([this._options.queryKey, 'infinite']);
+        }
+        return hashKey([this._options.queryKey, params, 'infinite']);
+    }
+
+    _getFetchFn() {
+        return this._createFetchFn('refetch');
+    }
+
+    /**
+     * Cache key of a single page, in the family of the list.
+     * @param {*} pageParam
+     * @returns {string}
+     */
+    getPageKey(pageParam) {
+        const { queryKey, getPageKeyParts } = this._options;
+        const keyParts = getPageKeyParts ? getPageKeyParts(pageParam) : ['page', pageParam];
+        const params = this._params;
+        if (!params || (typeof params === 'object' && Object.keys(params).length === 0)) {
+            return hashKey([queryKey, ...keyParts]);
+        }
+        return hashKey([queryKey, params, ...keyParts]);
+    }
+
+    _getStartPageParam() {
+        if (this._jumpPageParam !== undefined) return this._jumpPageParam;
+        return this._options.startPageParam ?? this._options.initialPageParam;
+    }
+
+    _getNextWindowParam(data) {
+        if (this._evictedAfter.length > 0) return this._evictedAfter[0];
+        const lastIndex = data.pages.length - 1;
+        return this._options.getNextPageParam(data.pages[lastIndex], data.pageParams[lastIndex]);
+    }
+
+    _getPreviousWindowParam(data) {
+        if (this._evictedBefore.length > 0) return this._evictedBefore[this._evictedBefore.length - 1];
+        if (!this._options.getPreviousPageParam) return undefined;
+        return this._options.getPreviousPageParam(data.pages[0], data.pageParams[0]);
+    }
+
+    async _fetchPageInDirection(direction) {
+        const entry = this._getEntry();
+        if (!this._isEnabled() || entry.promise || !hasPages(entry.data)) return undefined;
+        const pageParam = direction === 'next'
+            ? this._getNextWindowParam(entry.data)
+            : this._getPreviousWindowParam(entry.data);
+        if (pageParam === undefined) return undefined;
+
+        this._fetchDirection = direction;
+        try {
+            const data = await this._executeFetch(this._createFetchFn(direction));
+            if (!hasPages(data)) return undefined;
+            const index = direction === 'next' ? data.pages.length - 1 : 0;
+            return { pageParam: data.pageParams[index], page: data.pages[index] };
+        } finally {
+            this._fetchDirection = null;
+        }
+    }
+
+    /**
+     * Build the fetchFn of the list entry. It reads the list when it runs, so a
+     * retried attempt starts from the current pages.
+     * @param {string} direction - 'refetch' | 'next' | 'previous'
+     * @param {Object} [options]
+     * @param {number} [options.pageLimit]
+     * @returns {Function} ({ signal }) => list data
+     * @private
+     */
+    _createFetchFn(direction, { pageLimit } = {}) {
+        const compositeKey = this._compositeKey;
+        return async ({ signal } = {}) => {
+            const data = this._cache.getQueryData(compositeKey);
+
+            if (!hasPages(data)) {
+                const pageParam = this._getStartPageParam();
+                const fromCache = this._startPageFromCache;
+                this._startPageFromCache = true;
+                const page = await this._fetchPage(pageParam, signal, { fromCache });
+                const newData = { pages: [page], pageParams: [pageParam] };
+                this._lastLoadedPageParam = pageParam;
+                this._evictedBefore = [];
+                this._evictedAfter = [];
+                this._prefetchNextPage(newData);
+                return newData;
+            }
+
+            if (direction === 'next') return this._fetchNext(data, signal);
+            if (direction === 'previous') return this._fetchPrevious(data, signal);
+            return this._refetchPages(data, signal, pageLimit || this._options.refetchPageLimit);
+        };
+    }
+
+    async _fetchNext(data, signal) {
+        const pageParam = this._getNextWindowParam(data);
+        if (pageParam === undefined) return data;
+        const page = await this._fetchPage(pageParam, signal);
+
+        this._lastLoadedPageParam = pageParam;
+        let pages = [...data.pages, page];
+        let pageParams = [...data.pageParams, pageParam];
+        let evictedBefore = this._evictedBefore;
+        const evictedAfter = this._evictedAfter[0] === pageParam ? this._evictedAfter.slice(1) : this._evictedAfter;
+
+        // Evict from the start of the window
+        const maxPages = this._options.maxPages || 0;
+        if (maxPages > 0 && pages.length > maxPages) {
+            const evictCount = pages.length - maxPages;
+            evictedBefore = [...evictedBefore, ...pageParams.slice(0, evictCount)];
+            pages = pages.slice(evictCount);
+            pageParams = pageParams.slice(evictCount);
+        }
+
+        this._evictedBefore = evictedBefore;
+        this._evictedAfter = evictedAfter;
+        const newData = { pages, pageParams };
+        this._prefetchNextPage(newData);
+        return newData;
+    }
+
+    async _fetchPrevious(data, signal) {
+        const pageParam = this._getPreviousWindowParam(data);
+        if (pageParam === undefined) return data;
+        const page = await this._fetchPage(pageParam, signal);
+
+        this._lastLoadedPageParam = pageParam;
+        let pages = [page, ...data.pages];
+        let pageParams = [pageParam, ...data.pageParams];
+        const lastEvicted = this._evictedBefore[this._evictedBefore.length - 1];
+        const evictedBefore = this._evictedBefore.length > 0 && lastEvicted === pageParam
+            ? this._evictedBefore.slice(0, -1)
+            : this._evictedBefore;
+        let evictedAfter = this._evictedAfter;
+
+        // Evict from the end of the window
+        const maxPages = this._options.maxPages || 0;
+        if (maxPages > 0 && pages.length > maxPages) {
+            evictedAfter = [...pageParams.slice(maxPages), ...evictedAfter];
+            pages = pages.slice(0, maxPages);
+            pageParams = pageParams.slice(0, maxPages);
+        }
+
+        this._evictedBefore = evictedBefore;
+        this._evictedAfter = evictedAfter;
+        return { pages, pageParams };
+    }
+
+    async _refetchPages(data, signal, pageLimit) {
+        const params = pageLimit > 0 ? data.pageParams.slice(0, pageLimit) : data.pageParams;
+        let pages;
+        let pageParams;
+
+        if (this._options.refetchInSequence) {
+            // Each page param comes from the previous response
+            pages = [];
+            pageParams = [];
+            let pageParam = params[0];
+            while (pageParam !== undefined && pages.length < params.length) {
+                const page = await this._fetchPage(pageParam, signal, { fromCache: false });
+                pages.push(page);
+                pageParams.push(pageParam);
+                pageParam = this._options.getNextPageParam(page, pageParam);
+            }
+        } else {
+            const concurrency = Math.max(1, this._options.refetchConcurrency || 4);
+            pages = await mapWithConcurrency(
+                params,
+                concurrency,
+                pageParam => this._fetchPage(pageParam, signal, { fromCache: false })
+            );
+            pageParams = params;
+        }
+
+        // Pages dropped by a page limit (or a shorter cursor chain) end the window
+        if (pageParams.length < data.pageParams.length) {
+            this._evictedAfter = [];
+        }
+        return { pages, pageParams };
+    }
+
+    /**
+     * Load a page and write it to its cache entry. With fromCache, a fresh cached page
+     * (or the page prefetched by this list) is used as is, and a running request for it
+     * is joined.
+     * @param {*}           pageParam
+     * @param {AbortSignal} signal
+     * @param {Object}      [options]
+     * @param {boolean}     [options.fromCache=true]
+     * @returns {Promise<*>} The page
+     * @private
+     */
+    async _fetchPage(pageParam, signal, { fromCache = true } = {}) {
+        const pageKey = this.getPageKey(pageParam);
+        const isPrefetched = this._prefetchedPageKey === pageKey;
+        if (isPrefetched) this._prefetchedPageKey = null;
+
+        if (fromCache && this._cache.has(pageKey)) {
+            const entry = this._cache.get(pageKey, this._baseKey);
+            if (entry.promise) {
+                // A failed request is made again below
+                const result = await joinRequest(entry.promise, signal);
+                if (result) return result.data;
+            } else if (
+                entry.status === QueryStatus.SUCCESS &&
+                // A prefetched page was fetched after the pages on screen: used once whatever the stale time
+                (isPrefetched || !isStale(entry.fetchedAt, this._options.staleTime))
+            ) {
+                return entry.data;
+            }
+        }
+
+        const page = await this._requestPage(pageParam, signal);
+        this._cache.setQueryData(pageKey, page, this._baseKey);
+        this._cache.scheduleGC(pageKey, this._options.cacheTime, this._baseKey);
+        return page;
+    }
+
+    async _requestPage(pageParam, signal) {
+        const { fetchPage, transport, request } = this._options;
+        try {
+            if (fetchPage) return await fetchPage({ pageParam, signal });
+            return await sendRequest(transport, { ...request(pageParam), pageParam }, { signal });
+        } catch (err) {
+            if (signal && signal.aborted) throw err; // A cancellation, not a failure
+            // Failures tell which page they were for
+            throw toQueryError(err, { pageParam });
+        }
+    }
+
+    _prefetchNextPage(data) {
+        if (!this._options.prefetchNextPage) return;
+        const pageParam = this._getNextWindowParam(data);
+        if (pageParam === undefined) return;
+
+        const pageKey = this.getPageKey(pageParam);
+        this._prefetchedPageKey = pageKey;
+        this._cache.prefetch(pageKey, ({ signal }) => this._requestPage(pageParam, signal), {
+            staleTime: this._options.staleTime,
+            baseKey: this._baseKey,
+            cacheTime: this._options.cacheTime,
+            retry: this._options.retry,
+            retryDelay: this._options.retryDelay,
+        });
+    }
+
+    _seedInitialData() {
+        const { initialData } = this._options;
+        if (initialData === undefined || initialData === null) return;
+        // initialData is the start page, not the page jumped to
+        if (!this._compositeKey || this._jumpPageParam !== undefined) return;
+        const entry = this._cache.get(this._compositeKey, this._baseKey);
+        if (entry.data !== undefined || entry.promise) return;
+        this._cache.setQueryData(
+            this._compositeKey,
+            { pages: [initialData], pageParams: [this._getStartPageParam()] },
+            this._baseKey
+        );
+    }
+
+    // The list on screen (real or placeholder), or null if empty
+    _getVisibleData() {
+        const state = this.getState();
+        return state.pages.length > 0 ? state.data : null;
+    }
+
+    async _restart(keepPreviousData, startPageFromCache) {
+        const compositeKey = this._compositeKey;
+        if (!compositeKey) return undefined;
+        const previousData = keepPreviousData ? this._getVisibleData() : null;
+        this._prefetchedPageKey = null;
+
+        // Superseded requests must not land in the new list
+        const entry = this._getEntry();
+        while (entry.promise) {
+            this._cache.cancel(compositeKey);
+            await entry.promise.catch(() => undefined);
+        }
+        if (compositeKey !== this._compositeKey) return undefined;
+
+        this._previousData = previousData;
+        this._evictedBefore = [];
+        this._evictedAfter = [];
+        this._lastLoadedPageParam = undefined;
+        this._startPageFromCache = startPageFromCache;
+        this._cache.reset(compositeKey);
+        this._seedInitialData();
+        if (!this._mounted || !this._isEnabled()) return undefined;
+        return this._executeFetch().catch(() => undefined); // Errors handled in _executeFetch
+    }
+
+    _resubscribe(oldCompositeKey) {
+        this._previousData = this._options.keepPreviousData ? this._getVisibleDataOf(oldCompositeKey) : null;
+        this._jumpPageParam = undefined;
+        this._evictedBefore = [];
+        this._evictedAfter = [];
+        this._prefetchedPageKey = null;
+        this._startPageFromCache = true;
+        this._lastLoadedPageParam = undefined;
+        this._seedInitialData();
+        super._resubscribe(oldCompositeKey);
+        if (!this._isEnabled()) this._emitState(this._getEntry());
+    }
+
+    // List shown for a previous key: its data, or what was shown in its place
+    _getVisibleDataOf(compositeKey) {
+        const data = compositeKey ? this._cache.getQueryData(compositeKey) : undefined;
+        if (hasPages(data)) return data;
+        return this._previousData;
+    }
+
+    _handleCacheUpdate(entry) {
+        // The new list arrived (or failed): the previous one is not shown anymore
+        if (hasPages(entry.data) || entry.status === QueryStatus.ERROR) {
+            this._previousData = null;
+        }
+        super._handleCacheUpdate(entry);
+    }
+
+    _getPlaceholderData() {
+        if (this._previousData) return this._previousData;
+        const { placeholderData } = this._options;
+        if (placeholderData === undefined || placeholderData === null) return null;
+        if (!this._placeholder || this._placeholder.page !== placeholderData) {
+            this._placeholder = { page: placeholderData, data: { pages: [placeholderData], pageParams: [] } };
+        }
+        return this._placeholder.data;
+    }
+
+    /**
+     * @param {Array} pageParams - Loaded page params
+     * @returns {*} The last page loaded by this list, or the last page of the list
+     *              (data loaded elsewhere, or that page was dropped since)
+     * @private
+     */
+    _getCurrentPage(pageParams) {
+        if (this._lastLoadedPageParam !== undefined && pageParams.includes(this._lastLoadedPageParam)) {
+            return this._lastLoadedPageParam;
+        }
+        return pageParams[pageParams.length - 1];
+    }
+
+    _buildState(entry) {
+        const state = super._buildState(entry);
+        const hasData = hasPages(entry.data);
+        const placeholderData = !hasData && entry.status !== QueryStatus.ERROR ? this._getPlaceholderData() : null;
+        const data = placeholderData || (hasData ? entry.data : undefined);
+        const pages = data ? data.pages : [];
+        const pageParams = hasData ? entry.data.pageParams : [];
+
+        return {
+            ...state,
+            data,
+            pages,
+            pageParams,
+            // Placeholder pages make the list non-empty: a background fetch, not a loading state
+            ...(placeholderData && {
+                status: QueryStatus.SUCCESS,
+                isLoading: false,
+                isSuccess: true,
+                isIdle: false,
+            }),
+            isPlaceholderData: !!placeholderData,
+            hasNextPage: hasData && this._getNextWindowParam(entry.data) !== undefined,
+            hasPreviousPage: hasData && this._getPreviousWindowParam(entry.data) !== undefined,
+            isFetchingNextPage: entry.promise !== null && this._fetchDirection === 'next',
+            isFetchingPreviousPage: entry.promise !== null && this._fetchDirection === 'previous',
+            // Page param this list loaded last (next or previous page), or the page about to be loaded
+            currentPage: hasData ? this._getCurrentPage(pageParams) : this._getStartPageParam(),
+            // Position of the loaded window among all known pages (evicted ones included)
+            windowStart: this._evictedBefore.length,
+            windowEnd: this._evictedBefore.length + (hasData ? pages.length : 0) - 1,
+        };
+    }
+}
@@ -0,0 +1,145 @@
+import { QueryObserver } from './QueryObserver.js';
+import { QueryStatus } from './utils.js';
+
+/**
+ * QueriesObserver — runs a list of queries in parallel and aggregates their state.
+ *
+ * Each query is a regular QueryObserver (same options, including `dependsOn`),
+ * so independent queries fetch at the same time while dependent ones wait for
+ * their parents. onChange receives the combined state:
+ *   - results:    state of each query, in order
+ *   - data:       data of each query, in order
+ *   - status:     'error' if any query failed, 'loading' if any is loading,
+ *                 'success' if all succeeded, 'idle' otherwise
+ *   - isLoading / isFetching / isPaused / isError: true if true for any query
+ *   - isSuccess:  true if true for every query
+ *   - errors:     errors of the failed queries
+ */
+export class QueriesObserver {
+    /**
+     * @param {Object}   options
+     * @param {Object[]} options.queries  - QueryObserver options (onChange is set by the QueriesObserver)
+     * @param {Function} options.onChange - Called with the combined state on every change
+     */
+    constructor({ queries = [], onChange }) {
+        this._onChange = onChange;
+        this._mounted = false;
+        this._results = [];
+        this._observers = [];
+        this._createObservers(queries);
+    }
+
+    /**
+     * Mount every query.
+     */
+    mount() {
+        if (this._mounted) return;
+        this._mounted = true;
+        for (const observer of this._observers) {
+            observer.mount();
+        }
+        this._emitState();
+    }
+
+    /**
+     * Unmount every query.
+     */
+    unmount() {
+        if (!this._mounted) return;
+        this._mounted = false;
+        for (const observer of this._observers) {
+            observer.unmount();
+        }
+    }
+
+    /**
+     * Refetch every query in parallel. Failed queries don't stop the others.
+     * @returns {Promise<Array>} Settled results, in order
+     */
+    refetch() {
+        return Promise.allSettled(this._observers.map(observer => observer.refetch()));
+    }
+
+    /**
+     * Replace the list of queries. Queries at the same index are updated in place;
+     * extra ones are mounted or unmounted.
+     * @param {Object[]} queries
+     */
+    setQueries(queries) {
+        // Drop the observers beyond the new length
+        for (const observer of this._observers.slice(queries.length)) {
+            if (this._mounted) observer.unmount();
+        }
+        this._observers = this._observers.slice(0, queries.length);
+        this._results = this._results.slice(0, queries.length);
+
+        queries.forEach((options, index) => {
+            const observer = this._observers[index];
+            if (observer) {
+                const { onChange, ...newOptions } = options;
+                observer.updateOptions(newOptions);
+                this._results[index] = observer.getState();
+            } else {
+                this._observers[index] = this._createObserver(options, index);
+                if (this._mounted) this._observers[index].mount();
+            }
+        });
+        this._emitState();
+    }
+
+    /**
+     * Get the combined state snapshot.
+     * @returns {Object}
+     */
+    getState() {
+        const results = this._observers.map(observer => observer.getState());
+        return this._combine(results);
+    }
+
+    // --- Private ---
+
+    _createObservers(queries) {
+        this._observers = queries.map((options, index) => this._createObserver(options, index));
+    }
+
+    _createObserver(options, index) {
+        const observer = new QueryObserver({
+            ...options,
+            onChange: state => {
+                this._results[index] = state;
+                if (this._mounted) this._emitState();
+            },
+        });
+        this._results[index] = observer.getState();
+        return observer;
+    }
+
+    _emitState() {
+        if (this._onChange) {
+            this._onChange(this._combine(this._results));
+        }
+    }
+
+    _combine(results) {
+        const isError = results.some(result => result.isError);
+        const isLoading = results.some(result => result.isLoading);
+        const isSuccess = results.length > 0 && results.every(result => result.isSuccess);
+
+        let status = QueryStatus.IDLE;
+        if (isError) status = QueryStatus.ERROR;
+        else if (isLoading) status = QueryStatus.LOADING;
+        else if (isSuccess) status = QueryStatus.SUCCESS;
+
+        return {
+            results,
+            data: results.map(result => result.data),
+            status,
+            isLoading,
+            isFetching: results.some(result => result.isFetching),
+            isPaused: results.some(result => result.isPaused),
+            isSuccess,
+            isError,
+            errors: results.filter(result => result.error).map(result => result.error),
+        };
+    }
+}
@@ -1,14 +1,109 @@
-import { hashKey, isStale, QueryStatus } from './utils.js';
+import { CancelledError, isCancelledError } from './errors.js';
+import { getOnlineManager } from './onlineManager.js';
+import { getRetryDelay, shouldRetry, sleep } from './retry.js';
+import { estimateSize, hashKey, isStale, QueryStatus, replaceEqualDeep } from './utils.js';
+
+/**
+ * Settle with the promise, or reject with a CancelledError as soon as the signal aborts.
+ * Ensures results of a superseded request never land, even if fetchFn ignores the signal.
+ *
+ * @param {Promise}     promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<*>}
+ */
+function raceAbort(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(new CancelledError());
+            return;
+        }
+        signal.addEventListener('abort', () => reject(new CancelledError()), { once: true });
+        promise.then(resolve, reject);
+    });
+}
+
+/**
+ * Turn a query key, or a hashed base key, into an array of key parts for prefix matching.
+ * "posts" and ["posts"] both give ["posts"].
+ *
+ * @param {*} queryKey
+ * @returns {Array}
+ */
+function toKeyParts(queryKey) {
+    if (Array.isArray(queryKey)) return queryKey;
+    if (typeof queryKey === 'string' && (queryKey.startsWith('[') || queryKey.startsWith('{'))) {
+        try {
+            return toKeyParts(JSON.parse(queryKey));
+        } catch (e) {
+            return [queryKey];
+        }
+    }
+    return [queryKey];
+}
 
 /**
  * @typedef {Object} QueryEntry
  * @property {*}        data        - Cached response data
  * @property {*}        error       - Last error, or null
  * @property {string}   status      - One of QueryStatus values
- * @property {number}   fetchedAt   - Timestamp of last successful fetch
+ * @property {number}   fetchedAt   - Timestamp of last successful fetch (0 once invalidated)
+ * @property {number}   dataUpdatedAt - Timestamp of the data itself (kept on invalidation)
+ * @property {string}   baseKey     - Family the entry is registered under, if any
+ * @property {number}   failureCount  - Failed attempts of the current/last fetch (reset on success)
+ * @property {*}        failureReason - Error of the last failed attempt, or null
  * @property {Promise}  promise     - In-flight fetch promise (for dedup), or null
+ * @property {boolean}  isPaused    - The in-flight fetch waits for the network to come back
+ * @property {AbortController} abortController - Controller of the in-flight fetch, or null
+ * @property {Function} fetchFn     - Function refetching the entry (for refetch()), or null
+ * @property {Object}   fetchOptions - Options of the last fetch (retry, retryDelay, staleTime)
  * @property {Set}      subscribers - Set of callback functions
  * @property {number}   gcTimeout   - setTimeout id for garbage collection
+ * @property {number}   gcAt        - Timestamp the entry is garbage-collected at, or 0
+ * @property {number}   fetchStartedAt - Start of the in-flight fetch, or 0
+ * @property {number}   size        - Estimated size of the data in bytes (see estimateSize)
+ * @property {number}   lastUsed    - Recency rank for LRU eviction (higher = used more recently)
+ *
+ * @typedef {Object} EntrySnapshot
+ * @property {*}        data        - Data before the change (undefined if the entry had none)
+ * @property {*}        error
+ * @property {string}   status
+ * @property {number}   fetchedAt
+ * @property {number}   dataUpdatedAt
+ */
+
+/**
+ * Names of the cache-wide events (see QueryCache.on).
+ * Every event payload has `compositeKey`, `baseKey` and `timestamp` (ms, Date.now()).
+ */
+export const CacheEventType = {
+    ADDED: 'added',
+    FETCH_START: 'fetchStart',
+    DEDUPED: 'deduped',
+    FETCH_SUCCESS: 'fetchSuccess',
+    FETCH_ERROR: 'fetchError',
+    FETCH_CANCELLED: 'fetchCancelled',
+    DATA_UPDATED: 'dataUpdated',
+    INVALIDATED: 'invalidated',
+    NOTIFIED: 'notified',
+    REMOVED: 'removed',
+    GC_EVICTED: 'gcEvicted',
+};
+
+const EVENT_TYPES = new Set(Object.values(CacheEventType));
+
+/**
+ * @typedef {Object} FetchTiming
+ * @property {number} startedAt - When the fetch started
+ * @property {number} duration  - ms from start to end, retries and offline pauses included
+ */
+
+/**
+ * Logger used by the cache for listener / subscriber errors (default: console).
+ * @typedef {Object} CacheLogger
+ * @property {Function} log
+ * @property {Function} warn
+ * @property {Function} error
  */
 
 /**
@@ -22,9 +117,51 @@ import { hashKey, isStale, QueryStatus } from './utils.js';
  *
  * The _keyRegistry maps each baseKey to the set of compositeKeys it contains,
  * enabling family-level invalidation (e.g. invalidate ALL "posts" regardless of params).
+ *
+ * Cache-wide events can be observed with on(event, handler). Besides compositeKey,
+ * baseKey and timestamp, their payloads carry:
+ *   - added:          {} — a new entry was created
+ *   - fetchStart:     { startedAt, hasData } — a fetch started; hasData = false for a cache miss
+ *   - deduped:        { startedAt, elapsed } — a fetch joined the in-flight one, started elapsed ms ago
+ *   - fetchSuccess:   { entry, startedAt, duration, failureCount } — the fetch stored its data
+ *                     (failureCount = failed attempts before the successful one)
+ *   - fetchError:     { error, startedAt, duration, failureCount } — the fetch failed (after its retries)
+ *   - fetchCancelled: { startedAt, duration } — the fetch was cancelled
+ *   - dataUpdated:    { entry } — new data was stored
+ *   - invalidated:    { dataUpdatedAt } — the entry was marked stale
+ *   - notified:       { subscriberCount } — subscribers were called
+ *   - removed:        { reason } — reason is 'remove', 'gc' or 'lru'
+ *   - gcEvicted:      { cacheTime, dataUpdatedAt } — the entry was garbage-collected (also a removed event)
+ *
+ * Errors thrown by listeners and subscribers go to the logger (console by default), and
+ * every failed fetch to the global onError handler, both set with configure().
+ *
+ * Fetches made while offline are paused (entry.isPaused) until the online manager
+ * reports the network is back, then run as usual.
+ *
+ * Memory bound: with maxEntries and / or maxSize (estimated bytes), the least recently
+ * used entries are evicted as soon as the cache grows past a limit, whatever their
+ * cacheTime. Entries with subscribers or an in-flight fetch are never evicted, so the
+ * cache can stay above its limits while they are in use. See stats for hit / miss counts.
  */
 class QueryCache {
-    constructor() {
+    /**
+     * @param {Object}      [options]
+     * @param {Object}      [options.onlineManager] - Connectivity source (default: the global OnlineManager)
+     * @param {CacheLogger} [options.logger]        - See configure()
+     * @param {Function}    [options.onError]       - See configure()
+     * @param {number}      [options.maxEntries=0]  - See configure()
+     * @param {number}      [options.maxSize=0]     - See configure()
+     */
+    constructor(options = {}) {
+        this._onlineManager = options.onlineManager || getOnlineManager();
+        this._logger = options.logger || console;
+        // The online manager may be shared: only a logger given here replaces its own
+        if (options.logger) this._onlineManager.setLogger(options.logger);
+        this._onError = options.onError || null;
+        this._maxEntries = options.maxEntries || 0;
+        this._maxSize = options.maxSize || 0;
+
         /** @type {Map<string, QueryEntry>} */
         this._cache = new Map();
 
@@ -33,6 +170,50 @@ class QueryCache {
          * @type {Map<string, Set<string>>}
          */
         this._keyRegistry = new Map();
+
+        /**
+         * Cache-wide event listeners, by event name.
+         * @type {Map<string, Set<Function>>}
+         */
+        this._listeners = new Map();
+
+        /** Number of subscriber notifications so far (see notifyCount) */
+        this._notifyCount = 0;
+
+        /** Last recency rank given to an entry (see QueryEntry.lastUsed) */
+        this._useCounter = 0;
+
+        /** Counters reported by stats */
+        this._stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    /**
+     * Set the logger, the global error handler and / or the memory limits. Options left
+     * out are kept, so the app can configure the shared cache once, e.g. from a global workflow:
+     *
+     *   window.__wwQueryCache.configure({
+     *       logger: { log() {}, warn: console.warn, error: (...args) => sendToSentry(args) },
+     *       onError: (error, { compositeKey }) => analytics.track('query_error', { compositeKey }),
+     *       maxEntries: 200,
+     *   });
+     *
+     * @param {Object}           options
+     * @param {CacheLogger|null} [options.logger]     - Receives listener / subscriber errors, the online
+     *                                                  manager's included. null = console
+     * @param {Function|null}    [options.onError]    - (error, { compositeKey, baseKey }) => void, called for
+     *                                                  every failed fetch (after its retries, cancellations excepted)
+     * @param {number}           [options.maxEntries] - Max number of entries (0 = unlimited)
+     * @param {number}           [options.maxSize]    - Max estimated size of the cached data in bytes (0 = unlimited)
+     */
+    configure({ logger, onError, maxEntries, maxSize } = {}) {
+        if (logger !== undefined) {
+            this._logger = logger || console;
+            this._onlineManager.setLogger(this._logger);
+        }
+        if (onError !== undefined) this._onError = onError || null;
+        if (maxEntries !== undefined) this._maxEntries = maxEntries || 0;
+        if (maxSize !== undefined) this._maxSize = maxSize || 0;
+        this._enforceLimits();
     }
 
     /**
@@ -75,16 +256,33 @@ class QueryCache {
                 error: null,
                 status: QueryStatus.IDLE,
                 fetchedAt: 0,
+                dataUpdatedAt: 0,
+                baseKey: baseKey || null,
+                failureCount: 0,
+                failureReason: null,
                 promise: null,
+                isPaused: false,
+                abortController: null,
+                fetchFn: null,
+                fetchOptions: {},
                 subscribers: new Set(),
                 gcTimeout: null,
+                gcAt: 0,
+                fetchStartedAt: 0,
+                size: 0,
+                lastUsed: 0,
             });
+            this._emit('added', { compositeKey, baseKey: baseKey || null });
+            this._enforceLimits(compositeKey);
         }
+        const entry = this._cache.get(compositeKey);
+        entry.lastUsed = ++this._useCounter;
         // Register under family if baseKey is provided
         if (baseKey) {
             this._registerKey(compositeKey, baseKey);
+            entry.baseKey = baseKey;
         }
-        return this._cache.get(compositeKey);
+        return entry;
     }
 
     /**
@@ -100,16 +298,48 @@ class QueryCache {
      * Fetch data for a composite key, with request deduplication.
      * If an identical request is already in-flight, returns the existing promise.
      *
-     * @param {string}   compositeKey - Hashed composite key
-     * @param {Function} fetchFn     - Async function that returns data
-     * @param {string}   [baseKey]   - Hashed base key for registry
+     * Failed attempts are retried according to `options.retry`. Between attempts,
+     * entry.failureCount / entry.failureReason are updated and subscribers notified,
+     * so observers can show a "retrying" state instead of an error.
+     *
+     * fetchFn receives `{ signal }`, an AbortSignal that aborts when the fetch is
+     * cancelled (see cancel()). A cancelled fetch rejects with a CancelledError and
+     * leaves `error` untouched.
+     *
+     * While offline, the fetch is paused (entry.isPaused) instead of attempted, and
+     * an attempt that fails because the network went away is not counted as a failure:
+     * it is made again once back online.
+     *
+     * Subscribers are notified when the fetch starts and when it ends, since the fetch
+     * status changes (entry.promise). A result equal to the cached data keeps the data
+     * reference and emits no dataUpdated event: only those two status notifications go out.
+     *
+     * @param {string}   compositeKey         - Hashed composite key
+     * @param {Function} fetchFn              - Async function ({ signal }) => data
+     * @param {string}   [baseKey]            - Hashed base key for registry
+     * @param {Object}   [options]
+     * @param {number|boolean|Function} [options.retry=0] - Retries (see retry.js)
+     * @param {number|Function}         [options.retryDelay] - Delay between attempts (default: exponential backoff)
+     * @param {boolean}                 [options.structuralSharing=true] - Reuse unchanged parts of the previous data
+     * @param {Function}                [options.refetchFn] - Used by refetch() instead of fetchFn, when fetchFn
+     *                                                        only makes sense once (e.g. loading the next page of a list)
+     * @param {number}                  [options.staleTime=0] - How long the data stays fresh (shown by the devtools)
      * @returns {Promise<*>}
      */
-    async fetch(compositeKey, fetchFn, baseKey) {
+    async fetch(compositeKey, fetchFn, baseKey, options = {}) {
         const entry = this.get(compositeKey, baseKey);
+        // Remembered so the cache can refetch the entry on its own (invalidateQueries)
+        entry.fetchFn = options.refetchFn || fetchFn;
+        entry.fetchOptions = options;
 
         // Request deduplication: return existing in-flight promise
         if (entry.promise) {
+            this._emit('deduped', {
+                compositeKey,
+                baseKey: entry.baseKey,
+                startedAt: entry.fetchStartedAt,
+                elapsed: Date.now() - entry.fetchStartedAt,
+            });
             return entry.promise;
         }
 
@@ -118,33 +348,212 @@ class QueryCache {
         if (wasIdle) {
             entry.status = QueryStatus.LOADING;
         }
-        this._notify(compositeKey);
+
+        const abortController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        entry.abortController = abortController;
+        // Reported by the fetch start notification below
+        entry.isPaused = !this._onlineManager.isOnline();
+        const startedAt = Date.now();
+        const hasData = entry.data !== undefined;
+        entry.fetchStartedAt = startedAt;
 
         // Create and track the promise
         entry.promise = (async () => {
             try {
-                const data = await fetchFn();
-                entry.data = data;
+                const data = await this._fetchWithRetry(
+                    compositeKey,
+                    entry,
+                    fetchFn,
+                    options,
+                    abortController && abortController.signal
+                );
+                // Keep the previous references for unchanged parts, so unchanged data isn't re-rendered
+                const previousData = entry.data;
+                const nextData = options.structuralSharing === false
+                    ? data
+                    : replaceEqualDeep(previousData, data);
+                const hasChanged = nextData !== previousData || entry.status !== QueryStatus.SUCCESS;
+
+                const failureCount = entry.failureCount;
+                this._setData(entry, nextData);
                 entry.error = null;
                 entry.status = QueryStatus.SUCCESS;
                 entry.fetchedAt = Date.now();
-                return data;
+                entry.dataUpdatedAt = entry.fetchedAt;
+                entry.failureCount = 0;
+                entry.failureReason = null;
+                this._emit('fetchSuccess', {
+                    compositeKey,
+                    baseKey: entry.baseKey,
+                    entry,
+                    startedAt,
+                    duration: entry.fetchedAt - startedAt,
+                    failureCount,
+                });
+                if (hasChanged) {
+                    this._emit('dataUpdated', { compositeKey, baseKey: entry.baseKey, entry });
+                }
+                this._enforceLimits(compositeKey);
+                return nextData;
             } catch (err) {
+                if (isCancelledError(err)) {
+                    // Cancelled: not an error, go back to where we were
+                    if (wasIdle && entry.data === undefined) {
+                        entry.status = QueryStatus.IDLE;
+                    }
+                    entry.failureCount = 0;
+                    entry.failureReason = null;
+                    this._emit('fetchCancelled', {
+                        compositeKey,
+                        baseKey: entry.baseKey,
+                        startedAt,
+                        duration: Date.now() - startedAt,
+                    });
+                    throw err;
+                }
                 entry.error = err;
                 // Only set ERROR status if we don't already have data
                 if (entry.data === undefined) {
                     entry.status = QueryStatus.ERROR;
                 }
+                this._emit('fetchError', {
+                    compositeKey,
+                    baseKey: entry.baseKey,
+                    error: err,
+                    startedAt,
+                    duration: Date.now() - startedAt,
+                    failureCount: entry.failureCount,
+                });
+                this._reportError(err, { compositeKey, baseKey: entry.baseKey });
                 throw err;
             } finally {
                 entry.promise = null;
+                entry.isPaused = false;
+                entry.abortController = null;
+                entry.fetchStartedAt = 0;
                 this._notify(compositeKey);
             }
         })();
+        this._emit('fetchStart', { compositeKey, baseKey: entry.baseKey, startedAt, hasData });
+        // Subscribers see the fetch start with the promise set (isFetching)
+        this._notify(compositeKey);
 
         return entry.promise;
     }
 
+    /**
+     * Fill a cache entry ahead of time, without subscribing to it (e.g. the next page
+     * of a list, or a detail query on link hover). Fresh data is not fetched again.
+     * Errors are swallowed: a failed prefetch leaves the entry for the real fetch to retry.
+     * The entry is garbage-collected after cacheTime unless something subscribes to it.
+     *
+     * @param {string}   compositeKey
+     * @param {Function} fetchFn               - Async function ({ signal }) => data
+     * @param {Object}   [options]
+     * @param {number}   [options.staleTime=0]      - Existing data younger than this is kept as is
+     * @param {string}   [options.baseKey]
+     * @param {number}   [options.cacheTime=300000] - ms to keep the entry if nothing subscribes to it
+     * @param {number|boolean|Function} [options.retry=0]
+     * @param {number|Function}         [options.retryDelay]
+     * @returns {Promise<*>} The data, or undefined if the prefetch failed
+     */
+    prefetch(compositeKey, fetchFn, options = {}) {
+        const { staleTime = 0, baseKey, cacheTime = 300000, retry, retryDelay } = options;
+        const entry = this.get(compositeKey, baseKey);
+        const isFresh = !entry.promise && entry.status === QueryStatus.SUCCESS && !isStale(entry.fetchedAt, staleTime);
+        this._recordLookup(isFresh);
+        if (isFresh) {
+            return Promise.resolve(entry.data);
+        }
+
+        return this.fetch(compositeKey, fetchFn, baseKey, { retry, retryDelay, staleTime })
+            .catch(() => undefined)
+            .finally(() => {
+                if (this._cache.get(compositeKey) === entry) {
+                    this.scheduleGC(compositeKey, cacheTime, baseKey);
+                }
+            });
+    }
+
+    /**
+     * Run fetchFn, retrying failed attempts with backoff.
+     * @param {string}     compositeKey
+     * @param {QueryEntry} entry
+     * @param {Function}   fetchFn
+     * @param {Object}     options  - retry / retryDelay
+     * @param {AbortSignal} [signal] - Aborts the current attempt and any pending retry
+     * @returns {Promise<*>}
+     * @private
+     */
+    async _fetchWithRetry(compositeKey, entry, fetchFn, options, signal) {
+        entry.failureCount = 0;
+        entry.failureReason = null;
+
+        for (;;) {
+            await this._waitForOnline(compositeKey, entry, signal);
+            try {
+                return await raceAbort(Promise.resolve().then(() => fetchFn({ signal })), signal);
+            } catch (err) {
+                // An aborted request may reject with the fetch AbortError: report a cancellation
+                if (isCancelledError(err) || (signal && signal.aborted)) {
+                    throw isCancelledError(err) ? err : new CancelledError();
+                }
+
+                // Lost the network during the request: try again once it's back
+                if (!this._onlineManager.isOnline()) continue;
+
+                entry.failureCount++;
+                entry.failureReason = err;
+
+                if (!shouldRetry(options.retry ?? 0, entry.failureCount, err)) {
+                    throw err;
+                }
+
+                // Let subscribers show a "retrying" state
+                this._notify(compositeKey);
+                await sleep(getRetryDelay(options.retryDelay, entry.failureCount, err), signal);
+                if (signal && signal.aborted) {
+                    throw new CancelledError();
+                }
+            }
+        }
+    }
+
+    /**
+     * Pause until the network is back, if offline.
+     * @param {string}      compositeKey
+     * @param {QueryEntry}  entry
+     * @param {AbortSignal} [signal] - Cancels the wait (rejects with a CancelledError)
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _waitForOnline(compositeKey, entry, signal) {
+        if (this._onlineManager.isOnline()) return;
+        if (!entry.isPaused) {
+            entry.isPaused = true;
+            this._notify(compositeKey);
+        }
+        await this._onlineManager.waitForOnline(signal);
+        entry.isPaused = false;
+        if (signal && signal.aborted) {
+            throw new CancelledError();
+        }
+        this._notify(compositeKey);
+    }
+
+    /**
+     * Cancel the in-flight fetch of a composite key, if any.
+     * Its promise rejects with a CancelledError; cached data and error are kept.
+     *
+     * @param {string} compositeKey
+     */
+    cancel(compositeKey) {
+        const entry = this._cache.get(compositeKey);
+        if (entry && entry.abortController) {
+            entry.abortController.abort();
+        }
+    }
+
     /**
      * Invalidate a single composite cache entry.
      * Does NOT remove the data — subscribers can still display stale data.
@@ -155,6 +564,7 @@ class QueryCache {
         if (this._cache.has(compositeKey)) {
             const entry = this._cache.get(compositeKey);
             entry.fetchedAt = 0; // Mark as stale
+            this._emit('invalidated', { compositeKey, baseKey: entry.baseKey, dataUpdatedAt: entry.dataUpdatedAt });
             this._notify(compositeKey);
         }
     }
@@ -183,6 +593,101 @@ class QueryCache {
         }
     }
 
+    /**
+     * Find the composite keys of the entries matching some filters.
+     * Without filters, every entry matches.
+     *
+     * @param {Object}   [filters]
+     * @param {*}        [filters.queryKey]     - Query key, or prefix of array query keys: ["posts"]
+     *                                            matches "posts", ["posts"] and ["posts", 1]
+     * @param {boolean}  [filters.exact=false]  - Match the query key exactly instead of as a prefix
+     * @param {Function} [filters.predicate]    - ({ queryKey, baseKey, compositeKey, entry }) => boolean
+     * @returns {string[]}
+     */
+    findKeys({ queryKey, exact = false, predicate } = {}) {
+        const prefix = queryKey !== undefined ? toKeyParts(queryKey) : null;
+        const prefixHash = prefix ? hashKey(prefix) : null;
+        const keys = [];
+
+        for (const [compositeKey, entry] of this._cache) {
+            const entryKey = entry.baseKey ? toKeyParts(entry.baseKey) : null;
+            if (prefix) {
+                if (!entryKey) continue;
+                if (exact ? entryKey.length !== prefix.length : entryKey.length < prefix.length) continue;
+                if (hashKey(entryKey.slice(0, prefix.length)) !== prefixHash) continue;
+            }
+            if (predicate && !predicate({ queryKey: entryKey, baseKey: entry.baseKey, compositeKey, entry })) {
+                continue;
+            }
+            keys.push(compositeKey);
+        }
+        return keys;
+    }
+
+    /**
+     * Invalidate every entry matching the filters, then refetch some of them:
+     *   - 'active': entries with subscribers, i.e. currently displayed (default)
+     *   - 'all':    every matching entry that has been fetched before
+     *   - 'none':   nothing, entries are refetched on their next use
+     *
+     * e.g. after a form submit: invalidateQueries({ queryKey: ['posts'] })
+     *
+     * @param {Object} [filters] - Same as findKeys(), plus:
+     * @param {string} [filters.refetchType='active'] - 'active' | 'all' | 'none'
+     * @returns {Promise<void>} Settles when the refetches are done (their errors are left to the entries)
+     */
+    invalidateQueries(filters = {}) {
+        const { refetchType = 'active' } = filters;
+        const keys = this.findKeys(filters);
+        for (const compositeKey of keys) {
+            this.invalidate(compositeKey);
+        }
+        if (refetchType === 'none') return Promise.resolve();
+
+        const refetches = keys
+            .filter(compositeKey => {
+                const entry = this._cache.get(compositeKey);
+                if (!entry || !entry.fetchFn) return false;
+                return refetchType === 'all' || entry.subscribers.size > 0;
+            })
+            .map(compositeKey => this.refetch(compositeKey).catch(() => undefined));
+        return Promise.all(refetches).then(() => undefined);
+    }
+
+    /**
+     * Fetch an entry again with the fetchFn and options of its last fetch.
+     * @param {string} compositeKey
+     * @returns {Promise<*>} The new data (or the cached data if the entry was never fetched)
+     */
+    refetch(compositeKey) {
+        const entry = this._cache.get(compositeKey);
+        if (!entry || !entry.fetchFn) {
+            return Promise.resolve(entry ? entry.data : undefined);
+        }
+        return this.fetch(compositeKey, entry.fetchFn, entry.baseKey, entry.fetchOptions);
+    }
+
+    /**
+     * Put an entry back to its initial state (no data, idle), keeping its subscribers,
+     * e.g. to load a list from its first page again. Subscribers are notified.
+     * An in-flight fetch is not cancelled: cancel() it and wait for it first,
+     * or its result lands afterwards.
+     *
+     * @param {string} compositeKey
+     */
+    reset(compositeKey) {
+        const entry = this._cache.get(compositeKey);
+        if (!entry) return;
+        this._setData(entry, undefined);
+        entry.error = null;
+        entry.status = QueryStatus.IDLE;
+        entry.fetchedAt = 0;
+        entry.dataUpdatedAt = 0;
+        entry.failureCount = 0;
+        entry.failureReason = null;
+        this._notify(compositeKey);
+    }
+
     /**
      * Remove a single composite cache entry entirely.
      * @param {string} compositeKey
@@ -192,11 +697,16 @@ class QueryCache {
         const entry = this._cache.get(compositeKey);
         if (entry) {
             if (entry.gcTimeout) clearTimeout(entry.gcTimeout);
+            entry.gcTimeout = null;
+            entry.gcAt = 0;
             this._cache.delete(compositeKey);
         }
         if (baseKey) {
             this._unregisterKey(compositeKey, baseKey);
         }
+        if (entry) {
+            this._emit('removed', { compositeKey, baseKey: entry.baseKey, reason: 'remove' });
+        }
     }
 
     /**
@@ -215,6 +725,7 @@ class QueryCache {
     /**
      * Subscribe to state changes for a composite cache key.
      * Cancels any pending GC timeout for this entry.
+     * When the last subscriber leaves, the in-flight fetch (if any) is cancelled.
      *
      * @param {string}   compositeKey - Hashed composite key
      * @param {Function} cb           - Callback invoked with the entry on change
@@ -228,12 +739,21 @@ class QueryCache {
         if (entry.gcTimeout) {
             clearTimeout(entry.gcTimeout);
             entry.gcTimeout = null;
+            entry.gcAt = 0;
         }
 
         entry.subscribers.add(cb);
+        this._recordLookup(entry.data !== undefined);
 
         return () => {
             entry.subscribers.delete(cb);
+            if (entry.subscribers.size === 0 && entry.promise) {
+                this.cancel(compositeKey);
+            }
+            // Unused now: it may be evicted if the cache is over its limits
+            if (entry.subscribers.size === 0) {
+                this._enforceLimits();
+            }
         };
     }
 
@@ -252,20 +772,339 @@ class QueryCache {
         if (entry.subscribers.size > 0) return; // Still has subscribers
 
         if (entry.gcTimeout) clearTimeout(entry.gcTimeout);
+        entry.gcTimeout = null;
+        entry.gcAt = 0;
 
         if (cacheTime === Infinity) return; // Never GC
 
+        entry.gcAt = Date.now() + cacheTime;
         entry.gcTimeout = setTimeout(() => {
+            entry.gcTimeout = null;
+            entry.gcAt = 0;
             // Only remove if still no subscribers
             if (entry.subscribers.size === 0) {
                 this._cache.delete(compositeKey);
-                if (baseKey) {
-                    this._unregisterKey(compositeKey, baseKey);
+                // The entry's own family: the caller may have moved on to another query key
+                const familyKey = entry.baseKey || baseKey;
+                if (familyKey) {
+                    this._unregisterKey(compositeKey, familyKey);
                 }
+                this._emit('removed', { compositeKey, baseKey: entry.baseKey, reason: 'gc' });
+                this._emit('gcEvicted', {
+                    compositeKey,
+                    baseKey: entry.baseKey,
+                    cacheTime,
+                    dataUpdatedAt: entry.dataUpdatedAt,
+                });
             }
         }, cacheTime);
     }
 
+    /**
+     * Seed an entry with previously stored data (e.g. restored from storage).
+     * The data is marked stale, so the next observer refetches it in the background.
+     * Entries that already hold data or are fetching are left untouched.
+     *
+     * @param {string} compositeKey
+     * @param {Object} state
+     * @param {*}      state.data
+     * @param {number} [state.dataUpdatedAt] - When the data was originally fetched
+     * @param {string} [baseKey]
+     */
+    hydrate(compositeKey, { data, dataUpdatedAt }, baseKey) {
+        const entry = this.get(compositeKey, baseKey);
+        if (entry.data !== undefined || entry.promise) return;
+
+        this._setData(entry, data);
+        entry.error = null;
+        entry.status = QueryStatus.SUCCESS;
+        entry.fetchedAt = 0; // Stale: refetch on next use
+        entry.dataUpdatedAt = dataUpdatedAt || Date.now();
+        this._notify(compositeKey);
+        this._enforceLimits(compositeKey);
+    }
+
+    /**
+     * Read the cached data of a composite key without creating an entry.
+     * @param {string} compositeKey
+     * @returns {*} The data, or undefined
+     */
+    getQueryData(compositeKey) {
+        const entry = this._cache.get(compositeKey);
+        this._recordLookup(!!entry && entry.data !== undefined);
+        if (!entry) return undefined;
+        entry.lastUsed = ++this._useCounter;
+        return entry.data;
+    }
+
+    /**
+     * Write data for a composite key, e.g. after a mutation or for an optimistic update.
+     * The entry becomes successful and fresh; subscribers are notified unless the data
+     * is deeply equal to the current data (unchanged parts keep their references).
+     *
+     * @param {string}        compositeKey
+     * @param {Function|*}    updater   - New data, or (oldData) => newData
+     * @param {string}        [baseKey]
+     * @returns {*} The new data
+     */
+    setQueryData(compositeKey, updater, baseKey) {
+        const entry = this.get(compositeKey, baseKey);
+        const data = replaceEqualDeep(entry.data, typeof updater === 'function' ? updater(entry.data) : updater);
+
+        // Same data: fresh again, but nothing to notify
+        if (data === entry.data && entry.status === QueryStatus.SUCCESS) {
+            entry.fetchedAt = Date.now();
+            return data;
+        }
+
+        this._setData(entry, data);
+        entry.error = null;
+        entry.status = QueryStatus.SUCCESS;
+        entry.fetchedAt = Date.now();
+        entry.dataUpdatedAt = entry.fetchedAt;
+        this._emit('dataUpdated', { compositeKey, baseKey: entry.baseKey, entry });
+        this._notify(compositeKey);
+        this._enforceLimits(compositeKey);
+        return data;
+    }
+
+    /**
+     * Apply an updater to the data of every entry in a family that holds data
+     * (e.g. patch an item across all pages and param variations).
+     * Entries for which the updater returns the same reference are left untouched.
+     *
+     * @param {string}   baseKey
+     * @param {Function} updater - (oldData, compositeKey) => newData
+     * @returns {Map<string, EntrySnapshot>} Snapshot of the previous state, for restoreQueryData()
+     */
+    setFamilyData(baseKey, updater) {
+        const snapshot = new Map();
+        const family = this._keyRegistry.get(baseKey);
+        if (!family) return snapshot;
+
+        for (const compositeKey of family) {
+            const entry = this._cache.get(compositeKey);
+            if (!entry || entry.data === undefined) continue;
+            const data = updater(entry.data, compositeKey);
+            if (data === entry.data) continue;
+            snapshot.set(compositeKey, this._snapshotEntry(entry));
+            this.setQueryData(compositeKey, data);
+        }
+        return snapshot;
+    }
+
+    /**
+     * @param {QueryEntry} entry
+     * @returns {EntrySnapshot}
+     * @private
+     */
+    _snapshotEntry(entry) {
+        return {
+            data: entry.data,
+            error: entry.error,
+            status: entry.status,
+            fetchedAt: entry.fetchedAt,
+            dataUpdatedAt: entry.dataUpdatedAt,
+        };
+    }
+
+    /**
+     * Put back the state captured by setFamilyData() or snapshotQueryData() (rollback).
+     * Entries that had no data go back to having none. Entries removed in the meantime
+     * are not recreated.
+     *
+     * @param {Map<string, EntrySnapshot>} snapshot - compositeKey → previous state
+     */
+    restoreQueryData(snapshot) {
+        for (const [compositeKey, state] of snapshot) {
+            const entry = this._cache.get(compositeKey);
+            if (!entry) continue;
+            this._setData(entry, state.data);
+            entry.error = state.error;
+            // A first fetch that ended meanwhile left nothing loading
+            entry.status = state.status === QueryStatus.LOADING && !entry.promise ? QueryStatus.IDLE : state.status;
+            entry.fetchedAt = state.fetchedAt;
+            entry.dataUpdatedAt = state.dataUpdatedAt;
+            if (state.data !== undefined) {
+                this._emit('dataUpdated', { compositeKey, baseKey: entry.baseKey, entry });
+            }
+            this._notify(compositeKey);
+        }
+        this._enforceLimits();
+    }
+
+    /**
+     * Capture the current state of some composite keys, for restoreQueryData().
+     * Entries without data are captured too, so an optimistic write to them can be undone.
+     * @param {string[]} compositeKeys
+     * @returns {Map<string, EntrySnapshot>}
+     */
+    snapshotQueryData(compositeKeys) {
+        const snapshot = new Map();
+        for (const compositeKey of compositeKeys) {
+            const entry = this._cache.get(compositeKey);
+            if (entry) {
+                snapshot.set(compositeKey, this._snapshotEntry(entry));
+            }
+        }
+        return snapshot;
+    }
+
+    /**
+     * Run a mutation with an optimistic cache update.
+     * The update is applied immediately; if mutationFn rejects, it is rolled back.
+     *
+     * @param {Object}   options
+     * @param {Function} options.mutationFn     - Async function performing the server change
+     * @param {Function} options.updater        - (oldData, compositeKey) => newData
+     * @param {string}   [options.baseKey]      - Apply the updater to the whole family…
+     * @param {string}   [options.compositeKey] - …or to a single entry
+     * @returns {Promise<*>} The mutationFn result
+     */
+    async mutate({ mutationFn, updater, baseKey, compositeKey }) {
+        let snapshot;
+        if (compositeKey) {
+            snapshot = this.snapshotQueryData([compositeKey]);
+            this.setQueryData(compositeKey, data => updater(data, compositeKey), baseKey);
+        } else {
+            snapshot = this.setFamilyData(baseKey, updater);
+        }
+
+        try {
+            return await mutationFn();
+        } catch (err) {
+            this.restoreQueryData(snapshot);
+            throw err;
+        }
+    }
+
+    /**
+     * Iterate over all entries (for persistence and debugging).
+     * @returns {IterableIterator<[string, QueryEntry]>} [compositeKey, entry] pairs
+     */
+    entries() {
+        return this._cache.entries();
+    }
+
+    /**
+     * Store data on an entry and update its estimated size.
+     * @param {QueryEntry} entry
+     * @param {*}          data
+     * @private
+     */
+    _setData(entry, data) {
+        entry.data = data;
+        entry.size = estimateSize(data);
+    }
+
+    /**
+     * Count a lookup for stats: found data (hit) or not (miss).
+     * @param {boolean} isHit
+     * @private
+     */
+    _recordLookup(isHit) {
+        if (isHit) this._stats.hits++;
+        else this._stats.misses++;
+    }
+
+    /**
+     * Evict least recently used entries while the cache is over maxEntries / maxSize.
+     * Entries with subscribers or an in-flight fetch are skipped.
+     * @param {string} [keepKey] - Entry being written or created, never evicted
+     * @private
+     */
+    _enforceLimits(keepKey) {
+        if (!this._maxEntries && !this._maxSize) return;
+
+        let totalSize = 0;
+        if (this._maxSize) {
+            for (const entry of this._cache.values()) totalSize += entry.size;
+        }
+        const isOverLimit = () =>
+            (this._maxEntries > 0 && this._cache.size > this._maxEntries) ||
+            (this._maxSize > 0 && totalSize > this._maxSize);
+
+        while (isOverLimit()) {
+            let lruKey = null;
+            let lruEntry = null;
+            for (const [compositeKey, entry] of this._cache) {
+                if (compositeKey === keepKey || entry.subscribers.size > 0 || entry.promise) continue;
+                if (!lruEntry || entry.lastUsed < lruEntry.lastUsed) {
+                    lruKey = compositeKey;
+                    lruEntry = entry;
+                }
+            }
+            // Everything left is in use
+            if (!lruEntry) return;
+
+            if (lruEntry.gcTimeout) clearTimeout(lruEntry.gcTimeout);
+            lruEntry.gcTimeout = null;
+            lruEntry.gcAt = 0;
+            this._cache.delete(lruKey);
+            if (lruEntry.baseKey) {
+                this._unregisterKey(lruKey, lruEntry.baseKey);
+            }
+            totalSize -= lruEntry.size;
+            this._stats.evictions++;
+            this._emit('removed', { compositeKey: lruKey, baseKey: lruEntry.baseKey, reason: 'lru' });
+        }
+    }
+
+    /**
+     * Listen to a cache-wide event (see class docs for event names).
+     *
+     * @param {string}   event
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} function removing the listener
+     */
+    on(event, handler) {
+        if (!EVENT_TYPES.has(event)) {
+            this._logger.warn(`[ww-query-cache] Unknown cache event "${event}"`);
+        }
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, new Set());
+        }
+        this._listeners.get(event).add(handler);
+        return () => {
+            const handlers = this._listeners.get(event);
+            if (handlers) handlers.delete(handler);
+        };
+    }
+
+    /**
+     * Call all listeners of a cache-wide event.
+     * @param {string} event
+     * @param {Object} payload
+     * @private
+     */
+    _emit(event, payload) {
+        const handlers = this._listeners.get(event);
+        if (!handlers || handlers.size === 0) return;
+        const eventPayload = { ...payload, timestamp: Date.now() };
+        for (const handler of handlers) {
+            try {
+                handler(eventPayload);
+            } catch (e) {
+                this._logger.error('[ww-query-cache] Listener error:', e);
+            }
+        }
+    }
+
+    /**
+     * Call the global onError handler with a failed fetch's error.
+     * @param {*}      error
+     * @param {Object} context - { compositeKey, baseKey }
+     * @private
+     */
+    _reportError(error, context) {
+        if (!this._onError) return;
+        try {
+            this._onError(error, context);
+        } catch (e) {
+            this._logger.error('[ww-query-cache] onError handler error:', e);
+        }
+    }
+
     /**
      * Notify all subscribers of a composite cache key that state has changed.
      * @param {string} compositeKey
@@ -273,14 +1112,17 @@ class QueryCache {
      */
     _notify(compositeKey) {
         const entry = this._cache.get(compositeKey);
-        if (!entry) return;
+        if (!entry || entry.subscribers.size === 0) return;
+        const subscriberCount = entry.subscribers.size;
         for (const cb of entry.subscribers) {
+            this._notifyCount++;
             try {
                 cb(entry);
             } catch (e) {
-                console.error('[ww-query-cache] Subscriber error:', e);
+                this._logger.error('[ww-query-cache] Subscriber error:', e);
             }
         }
+        this._emit('notified', { compositeKey, baseKey: entry.baseKey, subscriberCount });
     }
 
     /**
@@ -291,6 +1133,58 @@ class QueryCache {
         return this._cache.size;
     }
 
+    /**
+     * Get the number of subscriber notifications so far (for debugging / measuring re-renders).
+     * @returns {number}
+     */
+    get notifyCount() {
+        return this._notifyCount;
+    }
+
+    /**
+     * Get cache statistics (for monitoring / debugging):
+     *   - hits / misses: lookups that found data or not (a component or observer subscribing,
+     *                    getQueryData(), prefetch() of fresh data)
+     *   - evictions:     entries evicted to stay within maxEntries / maxSize
+     *   - entryCount / approximateSize: current number of entries / estimated bytes of their data
+     *   - maxEntries / maxSize: current limits (0 = unlimited)
+     * @returns {Object}
+     */
+    get stats() {
+        let approximateSize = 0;
+        for (const entry of this._cache.values()) approximateSize += entry.size;
+        return {
+            ...this._stats,
+            entryCount: this._cache.size,
+            approximateSize,
+            maxEntries: this._maxEntries,
+            maxSize: this._maxSize,
+        };
+    }
+
+    /**
+     * Reset the hits / misses / evictions counters.
+     */
+    resetStats() {
+        this._stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    /**
+     * Get the logger set with configure() (console by default).
+     * @returns {CacheLogger}
+     */
+    get logger() {
+        return this._logger;
+    }
+
+    /**
+     * Get the connectivity source used to pause fetches.
+     * @returns {OnlineManager}
+     */
+    get onlineManager() {
+        return this._onlineManager;
+    }
+
     /**
      * Get registered families (for debugging).
      * @returns {Map<string, Set<string>>}
@@ -1,29 +1,111 @@
+import { isCancelledError } from './errors.js';
 import { getQueryCache } from './QueryCache.js';
-import { hashKey, isStale, QueryStatus } from './utils.js';
+import { sendRequest } from './transports.js';
+import { FetchStatus, hashKey, isStale, QueryStatus } from './utils.js';
+
+/**
+ * State source of a query whose dependencies are not ready yet: it has no cache entry.
+ */
+const PENDING_ENTRY = {
+    data: undefined,
+    error: null,
+    status: QueryStatus.IDLE,
+    fetchedAt: 0,
+    failureCount: 0,
+    failureReason: null,
+    promise: null,
+    isPaused: false,
+};
+
+/**
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean} true if both objects have the same keys with identical (===) values
+ */
+function shallowEqual(a, b) {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * Cache key of a query another query depends on.
+ * @param {*|{queryKey: *, params: Object}} dependency - Query key, or { queryKey, params }
+ * @returns {string} compositeKey
+ */
+function getDependencyKey(dependency) {
+    if (dependency && typeof dependency === 'object' && !Array.isArray(dependency) && 'queryKey' in dependency) {
+        const { queryKey, params } = dependency;
+        if (params && Object.keys(params).length > 0) {
+            return hashKey([queryKey, params]);
+        }
+        return hashKey(queryKey);
+    }
+    return hashKey(dependency);
+}
+
+/**
+ * @param {QueryEntry} entry
+ * @returns {string} FetchStatus value
+ */
+function getFetchStatus(entry) {
+    if (entry.promise === null) return FetchStatus.IDLE;
+    return entry.isPaused ? FetchStatus.PAUSED : FetchStatus.FETCHING;
+}
 
 /**
  * QueryObserver — per-component-instance logic.
  *
  * Manages the lifecycle of a single query subscription:
  * - Subscribes/unsubscribes from the global QueryCache
- * - Handles staleTime / refetchInterval / refetchOnWindowFocus
+ * - Handles staleTime / refetchInterval / refetchOnWindowFocus / refetchOnReconnect
  * - Reports state changes via an onChange callback
  *
  * Cache keys are structured as:
  *   - baseKey:      hashKey(queryKey) — the family identifier
  *   - compositeKey: hashKey([queryKey, params]) — the specific variation
+ *
+ * Dependent queries: with `dependsOn`, the query stays idle until every parent
+ * query has data, and `params` can be a function of the parents' data:
+ *
+ *   new QueryObserver({
+ *       queryKey: 'posts',
+ *       dependsOn: ['user'],
+ *       params: ([user]) => ({ userId: user.id }),
+ *       fetchFn, onChange,
+ *   });
+ *
+ * When a parent's data changes, the params are derived again and the query refetches.
+ *
+ * Instead of a fetchFn, a query can describe its request and pick a transport
+ * (see transports.js):
+ *
+ *   new QueryObserver({
+ *       queryKey: 'posts',
+ *       transport: 'graphql',
+ *       request: { url: '/graphql', query: 'query { posts { id title } }' },
+ *       onChange,
+ *   });
  */
 export class QueryObserver {
     /**
      * @param {Object}   options
      * @param {*}        options.queryKey            - Unique key (string, array, or object)
-     * @param {Object}   [options.params={}]         - Query parameters (the variation)
-     * @param {Function} options.fetchFn             - Async function returning data
+     * @param {Object|Function} [options.params={}] - Query parameters (the variation), or
+     *                                                  (parentsData) => params with dependsOn
+     * @param {Array}    [options.dependsOn=[]]      - Parent queries: query keys, or { queryKey, params }
+     * @param {Function} [options.fetchFn]           - Async function ({ signal }) returning data
+     * @param {string|Object} [options.transport='rest'] - Transport sending `request` when there is no fetchFn
+     * @param {Object|Function} [options.request]    - TransportRequest, or () => TransportRequest
      * @param {number}   [options.staleTime=0]       - ms data is considered fresh
      * @param {number}   [options.cacheTime=300000]  - ms to keep unused cache entries (5 min)
      * @param {number}   [options.refetchInterval=0] - ms between auto-refetches (0 = disabled)
      * @param {boolean}  [options.refetchOnWindowFocus=true]
+     * @param {boolean}  [options.refetchOnReconnect=true] - Refetch stale data when the network comes back
      * @param {boolean}  [options.enabled=true]      - Whether the query should run
+     * @param {number|boolean|Function} [options.retry=0] - Retries on failure (see retry.js)
+     * @param {number|Function} [options.retryDelay]  - Delay between retries (default: exponential backoff)
+     * @param {boolean}  [options.structuralSharing=true] - Keep references of unchanged data (see replaceEqualDeep)
      * @param {Function} options.onChange             - Called with state object on every change
      * @param {Function} [options.onSuccess]          - Called with data on success
      * @param {Function} [options.onError]            - Called with error on failure
@@ -35,20 +117,29 @@ export class QueryObserver {
             cacheTime: 300000,
             refetchInterval: 0,
             refetchOnWindowFocus: true,
+            refetchOnReconnect: true,
             enabled: true,
+            retry: 0,
             params: {},
+            dependsOn: [],
             ...options,
         };
 
         this._cache = getQueryCache();
         this._updateKeys();
         this._unsubscribe = null;
+        this._parentUnsubscribes = [];
+        this._parentsSignature = this._getParentsSignature();
         this._refetchIntervalId = null;
+        this._unsubscribeOnline = null;
         this._mounted = false;
+        this._lastState = null;
 
         // Bind handlers
         this._handleVisibilityChange = this._handleVisibilityChange.bind(this);
+        this._handleOnlineChange = this._handleOnlineChange.bind(this);
         this._handleCacheUpdate = this._handleCacheUpdate.bind(this);
+        this._handleParentUpdate = this._handleParentUpdate.bind(this);
     }
 
     /**
@@ -57,13 +148,29 @@ export class QueryObserver {
      */
     _updateKeys() {
         this._baseKey = hashKey(this._options.queryKey);
-        const params = this._options.params;
+        if (!this._dependenciesReady()) {
+            // No cache entry until the params can be derived from the parents
+            this._compositeKey = null;
+            return;
+        }
+        const params = typeof this._options.params === 'function'
+            ? this._options.params(this._getParentEntries().map(entry => entry.data))
+            : this._options.params;
+        this._compositeKey = this._getCompositeKey(params);
+    }
+
+    /**
+     * Cache key of the entry for the given params.
+     * @param {Object} params
+     * @returns {string}
+     * @protected
+     */
+    _getCompositeKey(params) {
         // If params is empty/null, composite key equals base key
         if (!params || (typeof params === 'object' && Object.keys(params).length === 0)) {
-            this._compositeKey = this._baseKey;
-        } else {
-            this._compositeKey = hashKey([this._options.queryKey, params]);
+            return this._baseKey;
         }
+        return hashKey([this._options.queryKey, params]);
     }
 
     /**
@@ -73,39 +180,50 @@ export class QueryObserver {
         if (this._mounted) return;
         this._mounted = true;
 
+        // Follow the parent queries, then re-derive the keys from their current data
+        this._subscribeParents();
+        this._updateKeys();
+
         // Subscribe to cache updates
-        this._unsubscribe = this._cache.subscribe(
-            this._compositeKey,
-            this._handleCacheUpdate,
-            this._baseKey
-        );
+        if (this._compositeKey) {
+            this._unsubscribe = this._cache.subscribe(
+                this._compositeKey,
+                this._handleCacheUpdate,
+                this._baseKey
+            );
+        }
 
         // Set up refetchOnWindowFocus
         if (this._options.refetchOnWindowFocus && typeof document !== 'undefined') {
             document.addEventListener('visibilitychange', this._handleVisibilityChange);
         }
 
+        // Set up refetchOnReconnect
+        if (this._options.refetchOnReconnect) {
+            this._unsubscribeOnline = this._cache.onlineManager.subscribe(this._handleOnlineChange);
+        }
+
         // Set up refetchInterval
         if (this._options.refetchInterval > 0) {
             this._refetchIntervalId = setInterval(() => {
-                if (this._options.enabled) {
-                    this._executeFetch();
+                if (this._isEnabled()) {
+                    this._executeFetch().catch(() => { }); // Errors handled in _executeFetch
                 }
             }, this._options.refetchInterval);
         }
 
         // Initial fetch
-        if (this._options.enabled) {
+        if (this._isEnabled()) {
             const entry = this._cache.get(this._compositeKey, this._baseKey);
             if (entry.status === QueryStatus.IDLE || isStale(entry.fetchedAt, this._options.staleTime)) {
-                this._executeFetch();
+                this._executeFetch().catch(() => { }); // Errors handled in _executeFetch
             } else {
                 // Emit current cached state immediately
                 this._emitState(entry);
             }
         } else {
             // Emit idle state
-            this._emitState(this._cache.get(this._compositeKey, this._baseKey));
+            this._emitState(this._getEntry());
         }
     }
 
@@ -121,12 +239,19 @@ export class QueryObserver {
             this._unsubscribe();
             this._unsubscribe = null;
         }
+        this._unsubscribeParents();
 
         // Remove visibility listener
         if (typeof document !== 'undefined') {
             document.removeEventListener('visibilitychange', this._handleVisibilityChange);
         }
 
+        // Remove online listener
+        if (this._unsubscribeOnline) {
+            this._unsubscribeOnline();
+            this._unsubscribeOnline = null;
+        }
+
         // Clear refetch interval
         if (this._refetchIntervalId) {
             clearInterval(this._refetchIntervalId);
@@ -134,7 +259,9 @@ export class QueryObserver {
         }
 
         // Schedule garbage collection
-        this._cache.scheduleGC(this._compositeKey, this._options.cacheTime, this._baseKey);
+        if (this._compositeKey) {
+            this._cache.scheduleGC(this._compositeKey, this._options.cacheTime, this._baseKey);
+        }
     }
 
     /**
@@ -142,17 +269,27 @@ export class QueryObserver {
      * @returns {Promise<*>}
      */
     async refetch() {
+        // Nothing to fetch before the dependencies are ready
+        if (!this._compositeKey) return undefined;
         return this._executeFetch();
     }
 
+    /**
+     * Cancel the in-flight fetch for the current params, if any.
+     * The fetch settles as cancelled: no error state, no onError.
+     */
+    cancel() {
+        if (this._compositeKey) this._cache.cancel(this._compositeKey);
+    }
+
     /**
      * Invalidate ALL cached data for this query key family (all param variations).
      * Also triggers an immediate refetch of the current params if mounted and enabled.
      */
     invalidate() {
         this._cache.invalidateByKey(this._baseKey);
-        if (this._mounted && this._options.enabled) {
-            this._executeFetch();
+        if (this._mounted && this._isEnabled()) {
+            this._executeFetch().catch(() => { }); // Errors handled in _executeFetch
         }
     }
 
@@ -161,9 +298,10 @@ export class QueryObserver {
      * Use invalidate() to invalidate the entire family.
      */
     invalidateCurrent() {
+        if (!this._compositeKey) return;
         this._cache.invalidate(this._compositeKey);
-        if (this._mounted && this._options.enabled) {
-            this._executeFetch();
+        if (this._mounted && this._isEnabled()) {
+            this._executeFetch().catch(() => { }); // Errors handled in _executeFetch
         }
     }
 
@@ -176,35 +314,15 @@ export class QueryObserver {
         const oldOptions = { ...this._options };
 
         Object.assign(this._options, newOptions);
+        if (oldOptions.dependsOn !== this._options.dependsOn && this._mounted) {
+            this._unsubscribeParents();
+            this._subscribeParents();
+        }
         this._updateKeys();
 
         // If the composite key changed (params or queryKey changed), re-subscribe
         if (this._compositeKey !== oldCompositeKey && this._mounted) {
-            // Unsubscribe from old
-            if (this._unsubscribe) {
-                this._unsubscribe();
-            }
-            this._cache.scheduleGC(oldCompositeKey, this._options.cacheTime, this._baseKey);
-
-            // Subscribe to new
-            this._unsubscribe = this._cache.subscribe(
-                this._compositeKey,
-                this._handleCacheUpdate,
-                this._baseKey
-            );
-
-            // Fetch new key if enabled
-            if (this._options.enabled) {
-                const entry = this._cache.get(this._compositeKey, this._baseKey);
-                if (
-                    entry.status === QueryStatus.IDLE ||
-                    isStale(entry.fetchedAt, this._options.staleTime)
-                ) {
-                    this._executeFetch();
-                } else {
-                    this._emitState(entry);
-                }
-            }
+            this._resubscribe(oldCompositeKey);
         }
 
         // Handle refetchInterval change
@@ -215,21 +333,21 @@ export class QueryObserver {
             }
             if (this._options.refetchInterval > 0 && this._mounted) {
                 this._refetchIntervalId = setInterval(() => {
-                    if (this._options.enabled) {
-                        this._executeFetch();
+                    if (this._isEnabled()) {
+                        this._executeFetch().catch(() => { }); // Errors handled in _executeFetch
                     }
                 }, this._options.refetchInterval);
             }
         }
 
         // Handle enabled change
-        if (!oldOptions.enabled && this._options.enabled && this._mounted) {
+        if (!oldOptions.enabled && this._isEnabled() && this._mounted) {
             const entry = this._cache.get(this._compositeKey, this._baseKey);
             if (
                 entry.status === QueryStatus.IDLE ||
                 isStale(entry.fetchedAt, this._options.staleTime)
             ) {
-                this._executeFetch();
+                this._executeFetch().catch(() => { }); // Errors handled in _executeFetch
             }
         }
 
@@ -242,6 +360,17 @@ export class QueryObserver {
                 }
             }
         }
+
+        // Handle refetchOnReconnect change
+        if (oldOptions.refetchOnReconnect !== this._options.refetchOnReconnect) {
+            if (this._unsubscribeOnline) {
+                this._unsubscribeOnline();
+                this._unsubscribeOnline = null;
+            }
+            if (this._options.refetchOnReconnect && this._mounted) {
+                this._unsubscribeOnline = this._cache.onlineManager.subscribe(this._handleOnlineChange);
+            }
+        }
     }
 
     /**
@@ -249,8 +378,7 @@ export class QueryObserver {
      * @returns {Object}
      */
     getState() {
-        const entry = this._cache.get(this._compositeKey, this._baseKey);
-        return this._buildState(entry);
+        return this._buildState(this._getEntry());
     }
 
     /**
@@ -263,7 +391,7 @@ export class QueryObserver {
 
     /**
      * Get the composite key (specific params variation) for this observer.
-     * @returns {string}
+     * @returns {string|null} null while the dependencies are not ready
      */
     getCompositeKey() {
         return this._compositeKey;
@@ -271,12 +399,139 @@ export class QueryObserver {
 
     // --- Private ---
 
-    async _executeFetch() {
+    _isEnabled() {
+        return this._options.enabled && this._compositeKey !== null;
+    }
+
+    _getEntry() {
+        return this._compositeKey ? this._cache.get(this._compositeKey, this._baseKey) : PENDING_ENTRY;
+    }
+
+    _getParentEntries() {
+        return this._options.dependsOn.map(dependency => {
+            const key = getDependencyKey(dependency);
+            return this._cache.has(key) ? this._cache.get(key) : PENDING_ENTRY;
+        });
+    }
+
+    _subscribeParents() {
+        this._parentUnsubscribes = this._options.dependsOn.map(dependency =>
+            this._cache.subscribe(getDependencyKey(dependency), this._handleParentUpdate)
+        );
+        this._parentsSignature = this._getParentsSignature();
+    }
+
+    _unsubscribeParents() {
+        for (const unsubscribe of this._parentUnsubscribes) {
+            unsubscribe();
+        }
+        this._parentUnsubscribes = [];
+        // Parents nobody else observes are garbage-collected like any unused entry
+        for (const dependency of this._options.dependsOn) {
+            const key = getDependencyKey(dependency);
+            const entry = this._cache.has(key) ? this._cache.get(key) : null;
+            if (entry && !entry.gcTimeout) {
+                this._cache.scheduleGC(key, this._options.cacheTime, entry.baseKey);
+            }
+        }
+    }
+
+    _dependenciesReady() {
+        return this._getParentEntries().every(
+            entry => entry.status === QueryStatus.SUCCESS && entry.data !== undefined
+        );
+    }
+
+    // Changes only when a parent gets new data (not on fetch start/retries)
+    _getParentsSignature() {
+        return this._getParentEntries()
+            .map(entry => (entry.data !== undefined ? entry.dataUpdatedAt : 0))
+            .join(',');
+    }
+
+    /**
+     * Move the subscription from the old composite key to the current one,
+     * then fetch it (or emit its cached state).
+     * @param {string|null} oldCompositeKey
+     * @private
+     */
+    _resubscribe(oldCompositeKey) {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+        if (oldCompositeKey) {
+            this._cache.scheduleGC(oldCompositeKey, this._options.cacheTime, this._baseKey);
+        }
+        if (!this._compositeKey) return;
+
+        this._unsubscribe = this._cache.subscribe(
+            this._compositeKey,
+            this._handleCacheUpdate,
+            this._baseKey
+        );
+
+        // Fetch new key if enabled
+        if (this._isEnabled()) {
+            const entry = this._cache.get(this._compositeKey, this._baseKey);
+            if (
+                entry.status === QueryStatus.IDLE ||
+                isStale(entry.fetchedAt, this._options.staleTime)
+            ) {
+                this._executeFetch().catch(() => { }); // Errors handled in _executeFetch
+            } else {
+                this._emitState(entry);
+            }
+        }
+    }
+
+    _handleParentUpdate() {
+        const signature = this._getParentsSignature();
+        if (signature === this._parentsSignature || !this._mounted) return;
+        this._parentsSignature = signature;
+
+        const oldCompositeKey = this._compositeKey;
+        this._updateKeys();
+        if (this._compositeKey !== oldCompositeKey) {
+            this._resubscribe(oldCompositeKey);
+            if (!this._compositeKey) this._emitState(PENDING_ENTRY);
+        } else if (this._isEnabled()) {
+            // Same params, new parent data: the result may still differ
+            this._executeFetch().catch(() => { }); // Errors handled in _executeFetch
+        }
+    }
+
+    /**
+     * Function fetching the query's data (also used by the cache to refetch it).
+     * @returns {Function} ({ signal }) => data
+     * @protected
+     */
+    _getFetchFn() {
+        const { fetchFn, transport, request } = this._options;
+        if (fetchFn || !request) return fetchFn;
+        return ({ signal } = {}) =>
+            sendRequest(transport, typeof request === 'function' ? request() : request, { signal });
+    }
+
+    /**
+     * Fetch through the cache and call the onSuccess / onError / onSettled callbacks.
+     * @param {Function} [fetchFn] - Defaults to _getFetchFn()
+     * @returns {Promise<*>} The data, or undefined if cancelled
+     * @protected
+     */
+    async _executeFetch(fetchFn = this._getFetchFn()) {
         try {
             const data = await this._cache.fetch(
                 this._compositeKey,
-                this._options.fetchFn,
-                this._baseKey
+                fetchFn,
+                this._baseKey,
+                {
+                    retry: this._options.retry,
+                    retryDelay: this._options.retryDelay,
+                    structuralSharing: this._options.structuralSharing,
+                    refetchFn: this._getFetchFn(),
+                    staleTime: this._options.staleTime,
+                }
             );
             if (this._options.onSuccess) {
                 this._options.onSuccess(data);
@@ -286,6 +541,10 @@ export class QueryObserver {
             }
             return data;
         } catch (err) {
+            // Cancelled fetches (params changed, unmounted, cancel()) are not failures
+            if (isCancelledError(err)) {
+                return undefined;
+            }
             if (this._options.onError) {
                 this._options.onError(err);
             }
@@ -298,7 +557,7 @@ export class QueryObserver {
 
     _handleVisibilityChange() {
         if (typeof document !== 'undefined' && document.visibilityState === 'visible') {
-            if (this._options.enabled) {
+            if (this._isEnabled()) {
                 const entry = this._cache.get(this._compositeKey, this._baseKey);
                 if (isStale(entry.fetchedAt, this._options.staleTime)) {
                     this._executeFetch().catch(() => { }); // Errors handled in _executeFetch
@@ -307,14 +566,26 @@ export class QueryObserver {
         }
     }
 
+    _handleOnlineChange(online) {
+        if (!online || !this._isEnabled()) return;
+        const entry = this._cache.get(this._compositeKey, this._baseKey);
+        // A paused fetch resumes on its own
+        if (!entry.promise && isStale(entry.fetchedAt, this._options.staleTime)) {
+            this._executeFetch().catch(() => { }); // Errors handled in _executeFetch
+        }
+    }
+
     _handleCacheUpdate(entry) {
         this._emitState(entry);
     }
 
     _emitState(entry) {
-        if (this._options.onChange) {
-            this._options.onChange(this._buildState(entry));
-        }
+        if (!this._options.onChange) return;
+        const state = this._buildState(entry);
+        // Nothing changed (data is compared by reference, which structural sharing keeps stable)
+        if (this._lastState && shallowEqual(this._lastState, state)) return;
+        this._lastState = state;
+        this._options.onChange(state);
     }
 
     _buildState(entry) {
@@ -323,12 +594,17 @@ export class QueryObserver {
             error: entry.error,
             status: entry.status,
             isLoading: entry.status === QueryStatus.LOADING,
-            isFetching: entry.promise !== null,
+            // A paused fetch is not fetching: it waits for the network
+            isFetching: entry.promise !== null && !entry.isPaused,
+            isPaused: entry.isPaused,
+            fetchStatus: getFetchStatus(entry),
             isStale: isStale(entry.fetchedAt, this._options.staleTime),
             isSuccess: entry.status === QueryStatus.SUCCESS,
             isError: entry.status === QueryStatus.ERROR,
             isIdle: entry.status === QueryStatus.IDLE,
             fetchedAt: entry.fetchedAt,
+            failureCount: entry.failureCount,
+            failureReason: entry.failureReason,
         };
     }
 }
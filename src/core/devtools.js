@@ -0,0 +1,261 @@
+import { FetchStatus, isStale } from './utils.js';
+
+/**
+ * Cache inspector — the data side of the devtools panel.
+ *
+ * Reads every entry of a QueryCache, grouped by key family, and records a timeline
+ * of cache events (fetches, notifications, invalidations, evictions). It has no UI:
+ * the component's devtools panel renders it, and it can be used from the console:
+ *
+ *   const inspector = inspectQueryCache(window.__wwQueryCache);
+ *   inspector.getFamilies();   // [{ baseKey, entries: [...] }]
+ *   inspector.getEvents();     // [{ id, type, at, compositeKey, baseKey, detail }]
+ *   inspector.getStats();      // { hits, misses, evictions, entryCount, approximateSize, ... }
+ *
+ * Only one inspector is attached per cache, so the timeline survives closing the
+ * panel and is shared by every panel.
+ *
+ * @typedef {Object} InspectedEntry
+ * @property {string}      compositeKey
+ * @property {string|null} baseKey
+ * @property {string}      status          - QueryStatus of the entry
+ * @property {string}      fetchStatus     - FetchStatus of the entry
+ * @property {number}      fetchedAt       - 0 once invalidated
+ * @property {number}      dataUpdatedAt
+ * @property {boolean}     isStale         - Against the stale time of its last fetch
+ * @property {number}      subscriberCount
+ * @property {number}      gcAt            - Timestamp of the garbage collection, or 0
+ * @property {number}      failureCount
+ * @property {*}           data
+ * @property {*}           error
+ *
+ * @typedef {Object} CacheEvent
+ * @property {number}      id
+ * @property {string}      type   - Cache event name (see QueryCache)
+ * @property {number}      at     - Timestamp
+ * @property {string}      compositeKey
+ * @property {string|null} baseKey
+ * @property {string}      [detail] - e.g. the error message or the removal reason
+ */
+
+const RECORDED_EVENTS = [
+    'added',
+    'fetchStart',
+    'deduped',
+    'fetchSuccess',
+    'fetchError',
+    'fetchCancelled',
+    'dataUpdated',
+    'invalidated',
+    'notified',
+    'removed',
+];
+
+/** @type {WeakMap<Object, Object>} cache → inspector */
+const inspectors = new WeakMap();
+
+function getEventDetail(type, payload) {
+    switch (type) {
+        case 'fetchStart':
+            return payload.hasData ? 'background' : 'cache miss';
+        case 'deduped':
+            return `joined after ${payload.elapsed}ms`;
+        case 'fetchSuccess':
+        case 'fetchCancelled':
+            return `${payload.duration}ms`;
+        case 'fetchError': {
+            const message = payload.error && payload.error.message ? payload.error.message : String(payload.error);
+            return `${payload.duration}ms — ${message}`;
+        }
+        case 'notified':
+            return `${payload.subscriberCount} subscriber(s)`;
+        case 'removed':
+            return payload.reason;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * @param {string}     compositeKey
+ * @param {QueryEntry} entry
+ * @returns {InspectedEntry}
+ */
+function inspectEntry(compositeKey, entry) {
+    let fetchStatus = FetchStatus.IDLE;
+    if (entry.promise) fetchStatus = entry.isPaused ? FetchStatus.PAUSED : FetchStatus.FETCHING;
+
+    return {
+        compositeKey,
+        baseKey: entry.baseKey,
+        status: entry.status,
+        fetchStatus,
+        fetchedAt: entry.fetchedAt,
+        dataUpdatedAt: entry.dataUpdatedAt,
+        isStale: isStale(entry.fetchedAt, (entry.fetchOptions && entry.fetchOptions.staleTime) || 0),
+        subscriberCount: entry.subscribers.size,
+        gcAt: entry.gcAt || 0,
+        failureCount: entry.failureCount,
+        data: entry.data,
+        error: entry.error,
+    };
+}
+
+/**
+ * Attach an inspector to a QueryCache, or get the one already attached.
+ *
+ * @param {Object} cache               - QueryCache instance
+ * @param {Object} [options]
+ * @param {number} [options.maxEvents=200] - Timeline length (oldest events are dropped)
+ * @returns {Object} inspector
+ */
+export function inspectQueryCache(cache, options = {}) {
+    if (inspectors.has(cache)) {
+        return inspectors.get(cache);
+    }
+
+    const { maxEvents = 200 } = options;
+    /** @type {CacheEvent[]} */
+    let events = [];
+    let eventCounter = 0;
+    const listeners = new Set();
+
+    function notifyListeners() {
+        for (const listener of listeners) {
+            try {
+                listener();
+            } catch (e) {
+                cache.logger.error('[ww-query-cache] Inspector listener error:', e);
+            }
+        }
+    }
+
+    const offEvents = RECORDED_EVENTS.map(type =>
+        cache.on(type, payload => {
+            events.push({
+                id: ++eventCounter,
+                type,
+                at: payload.timestamp,
+                compositeKey: payload.compositeKey,
+                baseKey: payload.baseKey || null,
+                detail: getEventDetail(type, payload),
+            });
+            if (events.length > maxEvents) {
+                events = events.slice(events.length - maxEvents);
+            }
+            notifyListeners();
+        })
+    );
+
+    const inspector = {
+        /**
+         * Every entry, grouped by key family. Entries without a family are listed
+         * under baseKey null, last.
+         * @returns {Array<{ baseKey: string|null, entries: InspectedEntry[] }>}
+         */
+        getFamilies() {
+            const families = new Map();
+            for (const [compositeKey, entry] of cache.entries()) {
+                const baseKey = entry.baseKey || null;
+                if (!families.has(baseKey)) families.set(baseKey, []);
+                families.get(baseKey).push(inspectEntry(compositeKey, entry));
+            }
+            return [...families.entries()]
+                .sort(([a], [b]) => {
+                    if (a === null) return 1;
+                    if (b === null) return -1;
+                    return a.localeCompare(b);
+                })
+                .map(([baseKey, entries]) => ({
+                    baseKey,
+                    entries: entries.sort((a, b) => a.compositeKey.localeCompare(b.compositeKey)),
+                }));
+        },
+
+        /**
+         * Cache statistics (hits, misses, evictions, size), see QueryCache.stats.
+         * @returns {Object}
+         */
+        getStats() {
+            return cache.stats;
+        },
+
+        /**
+         * Recorded events, oldest first.
+         * @returns {CacheEvent[]}
+         */
+        getEvents() {
+            return events;
+        },
+
+        clearEvents() {
+            events = [];
+            notifyListeners();
+        },
+
+        /**
+         * Listen to cache changes (any recorded event).
+         * @param {Function} listener - () => void
+         * @returns {Function} unsubscribe
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /**
+         * Mark an entry stale and refetch it if a component shows it.
+         * @param {string} compositeKey
+         * @returns {Promise<void>}
+         */
+        invalidate(compositeKey) {
+            return cache.invalidateQueries({ predicate: ({ compositeKey: key }) => key === compositeKey });
+        },
+
+        /**
+         * Fetch an entry again with the request of its last fetch.
+         * @param {string} compositeKey
+         * @returns {Promise<*>}
+         */
+        refetch(compositeKey) {
+            return cache.refetch(compositeKey).catch(() => undefined); // The error is stored on the entry
+        },
+
+        /**
+         * Remove an unused entry. Entries with subscribers are kept: the components
+         * showing them would keep following the removed entry.
+         * @param {string} compositeKey
+         * @returns {boolean} true if removed
+         */
+        remove(compositeKey) {
+            if (!cache.has(compositeKey)) return false;
+            const entry = cache.get(compositeKey);
+            if (entry.subscribers.size > 0) return false;
+            cache.remove(compositeKey, entry.baseKey);
+            return true;
+        },
+
+        /**
+         * Replace the data of an entry, e.g. to test how the page renders an edge case.
+         * @param {string} compositeKey
+         * @param {*}      data
+         */
+        setData(compositeKey, data) {
+            if (!cache.has(compositeKey)) return;
+            cache.setQueryData(compositeKey, data, cache.get(compositeKey).baseKey);
+        },
+
+        /**
+         * Stop recording events and detach from the cache.
+         */
+        destroy() {
+            for (const off of offEvents) off();
+            listeners.clear();
+            events = [];
+            inspectors.delete(cache);
+        },
+    };
+
+    inspectors.set(cache, inspector);
+    return inspector;
+}
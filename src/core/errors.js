@@ -0,0 +1,105 @@
+/**
+ * Thrown (rejected) when an in-flight fetch is cancelled, e.g. because its
+ * params changed, its last subscriber left, or cancel() was called.
+ * A cancelled fetch is not an error: it must not set `error` or fire onError.
+ */
+export class CancelledError extends Error {
+    constructor(message = '[ww-query-cache] Query was cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+}
+
+/**
+ * @param {*} err
+ * @returns {boolean} true if err is a cancellation rather than a failure
+ */
+export function isCancelledError(err) {
+    return err instanceof CancelledError;
+}
+
+/**
+ * A failed request, with what the response said about it. Thrown by the transports
+ * (see transports.js) for HTTP errors, GraphQL errors and network failures.
+ *
+ * @property {number|null} status         - HTTP status, null when no response arrived
+ * @property {string}      statusText
+ * @property {*}           body           - Response body, parsed when it is JSON
+ * @property {Object}      headers        - Response headers (lower-case names)
+ * @property {boolean}     isNetworkError - No response: offline, DNS, CORS…
+ * @property {boolean}     isTimeout      - The request timed out (TimeoutError, 408 or 504)
+ * @property {number|null} retryAfter     - ms to wait before retrying, from Retry-After (429 / 503)
+ * @property {*}           pageParam      - Page of an infinite query the request was for
+ */
+export class QueryError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details] - Properties above, plus the original error as `cause`
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'QueryError';
+        this.status = details.status ?? null;
+        this.statusText = details.statusText || '';
+        this.body = details.body ?? null;
+        this.headers = details.headers || {};
+        this.isNetworkError = !!details.isNetworkError;
+        this.isTimeout = !!details.isTimeout;
+        this.retryAfter = details.retryAfter ?? null;
+        this.pageParam = details.pageParam;
+        if (details.cause !== undefined) this.cause = details.cause;
+    }
+
+    /**
+     * Plain object for bindings and workflow payloads (Error properties don't serialize).
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            status: this.status,
+            statusText: this.statusText,
+            body: this.body,
+            headers: this.headers,
+            isNetworkError: this.isNetworkError,
+            isTimeout: this.isTimeout,
+            retryAfter: this.retryAfter,
+            pageParam: this.pageParam ?? null,
+        };
+    }
+}
+
+/**
+ * @param {*} err
+ * @returns {boolean} true if err is a QueryError
+ */
+export function isQueryError(err) {
+    return err instanceof QueryError;
+}
+
+/**
+ * Return err as a QueryError, wrapping other errors (kept as `cause`).
+ * Cancellations are returned unchanged: they are not failures.
+ *
+ * @param {*}      err
+ * @param {Object} [details] - e.g. { pageParam }, applied when not already set
+ * @returns {QueryError|CancelledError}
+ */
+export function toQueryError(err, details = {}) {
+    if (isCancelledError(err)) return err;
+    if (isQueryError(err)) {
+        if (err.pageParam === undefined && details.pageParam !== undefined) {
+            err.pageParam = details.pageParam;
+        }
+        return err;
+    }
+    const message = err && err.message ? err.message : String(err);
+    return new QueryError(message, {
+        // e.g. errors thrown by custom fetchers with a status
+        status: err && typeof err.status === 'number' ? err.status : null,
+        isTimeout: !!err && err.name === 'TimeoutError',
+        cause: err,
+        ...details,
+    });
+}
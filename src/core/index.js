@@ -1,3 +1,41 @@
-export { getQueryCache, QueryCache } from './QueryCache.js';
+export { inspectQueryCache } from './devtools.js';
+export { CancelledError, isCancelledError, isQueryError, QueryError, toQueryError } from './errors.js';
+export { InfiniteQueryObserver } from './InfiniteQueryObserver.js';
+export { CacheEventType, getQueryCache, QueryCache } from './QueryCache.js';
+export { QueriesObserver } from './QueriesObserver.js';
 export { QueryObserver } from './QueryObserver.js';
-export { hashKey, isStale, QueryStatus } from './utils.js';
+export { insertItemInPage, isInfiniteData, removeItemFromPage, updateItemInPage, updatePages } from './mutations.js';
+export { getOnlineManager, OnlineManager } from './onlineManager.js';
+export { getPaginationStrategy, PaginationMode } from './pagination.js';
+export {
+    createIndexedDBPersister,
+    createWebStoragePersister,
+    excludeFromPersistence,
+    persistQueryCache,
+} from './persister.js';
+export { connectRealtime, ConnectionStatus } from './realtime.js';
+export { defaultRetryDelay, isRetryableError, parseRetryAfter } from './retry.js';
+export { syncQueryCache } from './sync.js';
+export {
+    encodeBody,
+    fetchResponse,
+    getTransport,
+    readResponse,
+    registerTransport,
+    sendRequest,
+    TransportType,
+} from './transports.js';
+export {
+    dedupeItems,
+    estimateSize,
+    FetchStatus,
+    getByPath,
+    getPageItems,
+    hashKey,
+    isStale,
+    mapWithConcurrency,
+    QueryStatus,
+    replaceEqualDeep,
+    setByPath,
+    setPageItems,
+} from './utils.js';
@@ -0,0 +1,103 @@
+import { getByPath, getPageItems, setPageItems } from './utils.js';
+
+/**
+ * Immutable item-level updaters for page responses, for use with
+ * QueryCache.setQueryData / setFamilyData. Each returns the page unchanged
+ * (same reference) when nothing matched, so untouched entries are not rewritten.
+ *
+ * Item ids are compared as strings, so "42" matches 42.
+ * All updaters accept an optional `itemsPath` (see getPageItems).
+ * For infinite query data ({ pages, pageParams }), wrap them with updatePages().
+ */
+
+function isSameId(item, idPath, id) {
+    const itemId = getByPath(item, idPath || 'id');
+    return itemId !== undefined && itemId !== null && String(itemId) === String(id);
+}
+
+/**
+ * Shallow-merge a patch into the item(s) with the given id.
+ *
+ * @param {*}      page
+ * @param {Object} options
+ * @param {*}      options.id       - Id of the item to update
+ * @param {Object} options.patch    - Fields to merge into the item
+ * @param {string} [options.idPath='id'] - Dot-path to the item id
+ * @param {string} [options.itemsPath]   - Dot-path to the item list
+ * @returns {*} The new page
+ */
+export function updateItemInPage(page, { id, patch, idPath, itemsPath }) {
+    const items = getPageItems(page, itemsPath);
+    if (!items || !items.some(item => isSameId(item, idPath, id))) return page;
+    return setPageItems(
+        page,
+        items.map(item => (isSameId(item, idPath, id) ? { ...item, ...patch } : item)),
+        itemsPath
+    );
+}
+
+/**
+ * Remove the item(s) with the given id.
+ *
+ * @param {*}      page
+ * @param {Object} options
+ * @param {*}      options.id
+ * @param {string} [options.idPath='id']
+ * @param {string} [options.itemsPath]
+ * @returns {*} The new page
+ */
+export function removeItemFromPage(page, { id, idPath, itemsPath }) {
+    const items = getPageItems(page, itemsPath);
+    if (!items || !items.some(item => isSameId(item, idPath, id))) return page;
+    return setPageItems(page, items.filter(item => !isSameId(item, idPath, id)), itemsPath);
+}
+
+/**
+ * Insert an item at the start or end of the page.
+ *
+ * @param {*}      page
+ * @param {Object} options
+ * @param {*}      options.item
+ * @param {string} [options.position='start'] - 'start' or 'end'
+ * @param {string} [options.itemsPath]
+ * @returns {*} The new page
+ */
+export function insertItemInPage(page, { item, position = 'start', itemsPath }) {
+    const items = getPageItems(page, itemsPath);
+    if (!items) return page;
+    return setPageItems(page, position === 'end' ? [...items, item] : [item, ...items], itemsPath);
+}
+
+/**
+ * Whether some data is the page list of an infinite query: { pages, pageParams }.
+ * @param {*} data
+ * @returns {boolean}
+ */
+export function isInfiniteData(data) {
+    return !!data && typeof data === 'object' && Array.isArray(data.pages) && Array.isArray(data.pageParams);
+}
+
+/**
+ * Apply a page updater to the pages of infinite query data, or to the data itself
+ * for a regular query (both kinds can share a query key family):
+ *
+ *   cache.setFamilyData(baseKey, data => updatePages(data, page => removeItemFromPage(page, { id })));
+ *
+ * @param {*}        data
+ * @param {Function} updater     - (page) => newPage
+ * @param {number}   [pageIndex] - Only update this page; negative counts from the end (-1 = last page)
+ * @returns {*} The new data, or the same reference if no page changed
+ */
+export function updatePages(data, updater, pageIndex) {
+    if (!isInfiniteData(data)) return updater(data);
+
+    const targetIndex = pageIndex !== undefined && pageIndex < 0 ? data.pages.length + pageIndex : pageIndex;
+    let hasChanged = false;
+    const pages = data.pages.map((page, index) => {
+        if (targetIndex !== undefined && index !== targetIndex) return page;
+        const newPage = updater(page);
+        if (newPage !== page) hasChanged = true;
+        return newPage;
+    });
+    return hasChanged ? { ...data, pages } : data;
+}
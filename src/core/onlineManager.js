@@ -0,0 +1,197 @@
+/**
+ * Online manager — network connectivity for the QueryCache.
+ *
+ * Fetches started while offline are paused until the connection returns, instead of
+ * failing right away (see QueryCache.fetch), and observers refetch on reconnect.
+ *
+ * By default connectivity comes from `navigator.onLine` and the window `online` /
+ * `offline` events. Both can be replaced, e.g. in Node or to use a custom probe:
+ *
+ *   const onlineManager = getOnlineManager(); // or cache.onlineManager
+ *   onlineManager.setEventListener(setOnline => {
+ *       const unsubscribe = myProbe.onChange(isUp => setOnline(isUp));
+ *       return unsubscribe;
+ *   });
+ *   onlineManager.setOnline(false); // force offline
+ */
+
+/**
+ * Default detection: window online/offline events.
+ * @param {Function} setOnline - (online: boolean) => void
+ * @returns {Function|undefined} cleanup
+ */
+function defaultSetup(setOnline) {
+    if (typeof window === 'undefined' || !window.addEventListener) return undefined;
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+        window.removeEventListener('online', handleOnline);
+        window.removeEventListener('offline', handleOffline);
+    };
+}
+
+class OnlineManager {
+    constructor() {
+        /** Connectivity set by setOnline() or the detection; undefined = read navigator.onLine */
+        this._online = undefined;
+        /** True when _online comes from the detection, which is only listened to while running */
+        this._isDetected = false;
+        /** @type {Set<Function>} */
+        this._listeners = new Set();
+        this._setup = defaultSetup;
+        this._cleanup = null;
+        /** Receives listener errors; set by the QueryCache using this manager */
+        this._logger = console;
+    }
+
+    /**
+     * Set the logger receiving listener errors. The QueryCache passes its own (see QueryCache.configure).
+     * @param {Object|null} logger - { log, warn, error }; null = console
+     */
+    setLogger(logger) {
+        this._logger = logger || console;
+    }
+
+    /**
+     * Replace the connectivity detection. The setup function is called while the
+     * manager has listeners, with a setOnline callback, and may return a cleanup function.
+     *
+     * @param {Function} setup - (setOnline) => cleanup | undefined
+     */
+    setEventListener(setup) {
+        const wasOnline = this.isOnline();
+        this._teardown();
+        this._setup = setup;
+        if (this._listeners.size > 0) {
+            this._start();
+        }
+        if (this.isOnline() !== wasOnline) {
+            this._notify();
+        }
+    }
+
+    /**
+     * Set the connectivity. Listeners are called if it changed.
+     * @param {boolean|undefined} online - undefined goes back to navigator.onLine
+     */
+    setOnline(online) {
+        this._applyOnline(online, false);
+    }
+
+    /**
+     * @param {boolean|undefined} online
+     * @param {boolean}           isDetected - Reported by the detection rather than set by hand
+     * @private
+     */
+    _applyOnline(online, isDetected) {
+        const wasOnline = this.isOnline();
+        this._online = online;
+        this._isDetected = isDetected;
+        if (this.isOnline() !== wasOnline) {
+            this._notify();
+        }
+    }
+
+    _notify() {
+        const isOnline = this.isOnline();
+        for (const listener of this._listeners) {
+            try {
+                listener(isOnline);
+            } catch (e) {
+                this._logger.error('[ww-query-cache] Online listener error:', e);
+            }
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isOnline() {
+        if (typeof this._online === 'boolean') return this._online;
+        if (typeof navigator === 'undefined' || typeof navigator.onLine !== 'boolean') return true;
+        return navigator.onLine;
+    }
+
+    /**
+     * Listen to connectivity changes. Detection runs while there are listeners.
+     * @param {Function} listener - (online: boolean) => void
+     * @returns {Function} unsubscribe
+     */
+    subscribe(listener) {
+        this._listeners.add(listener);
+        if (this._listeners.size === 1) {
+            this._start();
+        }
+        return () => {
+            this._listeners.delete(listener);
+            if (this._listeners.size === 0) {
+                this._teardown();
+            }
+        };
+    }
+
+    /**
+     * Resolve once online (right away if already online), or when the signal aborts.
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<void>}
+     */
+    waitForOnline(signal) {
+        if (this.isOnline() || (signal && signal.aborted)) return Promise.resolve();
+        return new Promise(resolve => {
+            let unsubscribe = null;
+            let isDone = false;
+            const done = () => {
+                if (isDone) return;
+                isDone = true;
+                if (unsubscribe) unsubscribe();
+                if (signal) signal.removeEventListener('abort', done);
+                resolve();
+            };
+            unsubscribe = this.subscribe(online => {
+                if (online) done();
+            });
+            // The detection may have reported online while subscribing
+            if (isDone) {
+                unsubscribe();
+                return;
+            }
+            if (signal) signal.addEventListener('abort', done, { once: true });
+        });
+    }
+
+    _start() {
+        const cleanup = this._setup(online => this._applyOnline(online, true));
+        this._cleanup = typeof cleanup === 'function' ? cleanup : null;
+    }
+
+    _teardown() {
+        if (this._cleanup) {
+            this._cleanup();
+            this._cleanup = null;
+        }
+        // Nothing reports changes any more: a detected state would go stale (e.g. stay
+        // offline for good), so go back to navigator.onLine. States set by hand are kept.
+        if (this._isDetected) {
+            this._online = undefined;
+            this._isDetected = false;
+        }
+    }
+}
+
+/**
+ * Get or create the global OnlineManager singleton, shared like the QueryCache.
+ * @returns {OnlineManager}
+ */
+export function getOnlineManager() {
+    if (typeof window !== 'undefined') {
+        if (!window.__wwOnlineManager) {
+            window.__wwOnlineManager = new OnlineManager();
+        }
+        return window.__wwOnlineManager;
+    }
+    return new OnlineManager();
+}
+
+export { OnlineManager };
@@ -0,0 +1,247 @@
+import { getByPath, getPageItems } from './utils.js';
+
+/**
+ * Pagination strategies for infinite queries.
+ *
+ * A strategy knows how to:
+ *   - pick the first page param
+ *   - derive the next/previous page param from a page response
+ *   - tell whether a page param depends on the previous response (refetch order)
+ *   - build the per-page part of the cache key
+ *   - turn a page param into request params (or a full URL to follow)
+ *   - parse a page param coming from a binding (e.g. a URL query string)
+ *
+ * All strategy functions receive the same options object:
+ * @typedef {Object} PaginationOptions
+ * @property {*}      [initialPageParam] - Lowest page param (page number, offset or cursor); defaults
+ *                                        to 1 in page mode and 0 in offset mode
+ * @property {string} [pageParamKey]     - Request param name carrying the page param; defaults to
+ *                                        "page" in page mode and "offset" in offset mode
+ * @property {string} [limitParamKey]    - Request param name carrying the page size (offset mode)
+ * @property {number} [pageSize]         - Items per page (offset and connection modes; 20 in offset mode if empty)
+ * @property {string} [itemsPath]        - Dot-path to the item list of a page (offset mode)
+ * @property {string} [nextPagePath]     - Dot-path to the next page param in a response
+ * @property {string} [previousPagePath] - Dot-path to the previous page param in a response
+ * @property {string} [connectionPath]   - Dot-path to a GraphQL connection (connection mode)
+ */
+
+/**
+ * Pagination mode constants.
+ */
+export const PaginationMode = {
+    PAGE: 'page',
+    OFFSET: 'offset',
+    CURSOR: 'cursor',
+    NEXT_URL: 'nextUrl',
+    CONNECTION: 'connection',
+};
+
+/**
+ * Read a page param from a response. Null, undefined and empty strings mean "no page".
+ * @param {*}      page
+ * @param {string} path
+ * @returns {*}
+ */
+function readPageParam(page, path) {
+    if (!path) return undefined;
+    const value = getByPath(page, path);
+    return value !== undefined && value !== null && value !== '' ? value : undefined;
+}
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Page size of offset mode. An empty or invalid one falls back to the default: with 0,
+ * the next offset would be the current one and the same page would load forever.
+ * @param {PaginationOptions} options
+ * @returns {number}
+ */
+function getPageSize(options) {
+    const pageSize = Number(options.pageSize);
+    return pageSize > 0 ? pageSize : DEFAULT_PAGE_SIZE;
+}
+
+const pageStrategy = {
+    getInitialPageParam(options) {
+        return options.initialPageParam ?? 1;
+    },
+    getNextPageParam(lastPage, lastPageParam, options) {
+        if (options.nextPagePath) return readPageParam(lastPage, options.nextPagePath);
+        return Number(lastPageParam) + 1;
+    },
+    getPreviousPageParam(firstPage, firstPageParam, options) {
+        if (options.previousPagePath) return readPageParam(firstPage, options.previousPagePath);
+        const initial = this.getInitialPageParam(options);
+        return firstPageParam > initial ? Number(firstPageParam) - 1 : undefined;
+    },
+    dependsOnPreviousPage(options) {
+        return !!options.nextPagePath;
+    },
+    getKeyParts(pageParam) {
+        return ['page', pageParam];
+    },
+    getRequestParams(pageParam, options) {
+        return { [options.pageParamKey || 'page']: pageParam };
+    },
+    parsePageParam(value) {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : undefined;
+    },
+    getRequestUrl() {
+        return null;
+    },
+};
+
+const offsetStrategy = {
+    getInitialPageParam(options) {
+        return options.initialPageParam ?? 0;
+    },
+    getNextPageParam(lastPage, lastPageParam, options) {
+        if (options.nextPagePath) return readPageParam(lastPage, options.nextPagePath);
+        const pageSize = getPageSize(options);
+        // A short page means we reached the end of the list
+        const items = getPageItems(lastPage, options.itemsPath);
+        if (items && items.length < pageSize) return undefined;
+        return Number(lastPageParam) + pageSize;
+    },
+    getPreviousPageParam(firstPage, firstPageParam, options) {
+        if (options.previousPagePath) return readPageParam(firstPage, options.previousPagePath);
+        const initial = this.getInitialPageParam(options);
+        if (!(firstPageParam > initial)) return undefined;
+        return Math.max(Number(firstPageParam) - getPageSize(options), initial);
+    },
+    dependsOnPreviousPage(options) {
+        return !!options.nextPagePath;
+    },
+    getKeyParts(pageParam, options) {
+        return ['offset', getPageSize(options), pageParam];
+    },
+    getRequestParams(pageParam, options) {
+        return {
+            [options.pageParamKey || 'offset']: pageParam,
+            [options.limitParamKey || 'limit']: getPageSize(options),
+        };
+    },
+    parsePageParam(value) {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : undefined;
+    },
+    getRequestUrl() {
+        return null;
+    },
+};
+
+const cursorStrategy = {
+    getInitialPageParam(options) {
+        return options.initialPageParam ?? null;
+    },
+    getNextPageParam(lastPage, lastPageParam, options) {
+        return readPageParam(lastPage, options.nextPagePath);
+    },
+    getPreviousPageParam(firstPage, firstPageParam, options) {
+        return readPageParam(firstPage, options.previousPagePath);
+    },
+    dependsOnPreviousPage() {
+        return true;
+    },
+    getKeyParts(pageParam) {
+        return ['cursor', pageParam];
+    },
+    getRequestParams(pageParam, options) {
+        // The first page is requested without a cursor
+        if (pageParam === null || pageParam === undefined) return {};
+        return { [options.pageParamKey || 'cursor']: pageParam };
+    },
+    parsePageParam(value) {
+        return value === '' ? undefined : value;
+    },
+    getRequestUrl() {
+        return null;
+    },
+};
+
+const nextUrlStrategy = {
+    getInitialPageParam() {
+        // The first page is requested from the configured endpoint
+        return null;
+    },
+    getNextPageParam(lastPage, lastPageParam, options) {
+        return readPageParam(lastPage, options.nextPagePath);
+    },
+    getPreviousPageParam(firstPage, firstPageParam, options) {
+        return readPageParam(firstPage, options.previousPagePath);
+    },
+    dependsOnPreviousPage() {
+        return true;
+    },
+    getKeyParts(pageParam) {
+        return ['url', pageParam];
+    },
+    getRequestParams() {
+        return {};
+    },
+    parsePageParam(value) {
+        return value === '' ? undefined : value;
+    },
+    getRequestUrl(pageParam) {
+        return pageParam ? String(pageParam) : null;
+    },
+};
+
+/**
+ * GraphQL connections (Relay cursor spec): `first` / `after` variables, and the next
+ * cursor at `<connectionPath>.pageInfo.endCursor` while `pageInfo.hasNextPage` is true.
+ * Connections are only paged forward: going back would need `last` / `before`.
+ */
+const connectionStrategy = {
+    getInitialPageParam(options) {
+        return options.initialPageParam ?? null;
+    },
+    getNextPageParam(lastPage, lastPageParam, options) {
+        if (options.nextPagePath) return readPageParam(lastPage, options.nextPagePath);
+        const pageInfoPath = options.connectionPath ? `${options.connectionPath}.pageInfo` : 'pageInfo';
+        const pageInfo = getByPath(lastPage, pageInfoPath);
+        if (!pageInfo || !pageInfo.hasNextPage) return undefined;
+        return readPageParam(pageInfo, 'endCursor');
+    },
+    getPreviousPageParam() {
+        return undefined;
+    },
+    dependsOnPreviousPage() {
+        return true;
+    },
+    getKeyParts(pageParam) {
+        return ['connection', pageParam];
+    },
+    getRequestParams(pageParam, options) {
+        const params = {};
+        if (options.pageSize) params[options.limitParamKey || 'first'] = options.pageSize;
+        // The first page is requested without a cursor
+        if (pageParam !== null && pageParam !== undefined) params[options.pageParamKey || 'after'] = pageParam;
+        return params;
+    },
+    parsePageParam(value) {
+        return value === '' ? undefined : value;
+    },
+    getRequestUrl() {
+        return null;
+    },
+};
+
+const strategies = {
+    [PaginationMode.PAGE]: pageStrategy,
+    [PaginationMode.OFFSET]: offsetStrategy,
+    [PaginationMode.CURSOR]: cursorStrategy,
+    [PaginationMode.NEXT_URL]: nextUrlStrategy,
+    [PaginationMode.CONNECTION]: connectionStrategy,
+};
+
+/**
+ * Get the pagination strategy for a mode. Unknown modes fall back to page numbers.
+ *
+ * @param {string} [mode='page'] - One of PaginationMode values
+ * @returns {Object} strategy
+ */
+export function getPaginationStrategy(mode) {
+    return strategies[mode] || pageStrategy;
+}
@@ -0,0 +1,300 @@
+import { QueryStatus } from './utils.js';
+
+/**
+ * Opt-in persistence for the QueryCache.
+ *
+ * Successful entries of opted-in families are dehydrated into a single snapshot
+ * and written to storage (throttled). On startup the snapshot is restored into
+ * the cache as stale data, so the first paint shows the last known data while
+ * observers refetch in the background.
+ *
+ * A persister is a storage adapter:
+ * @typedef {Object} Persister
+ * @property {Function} persist - async (snapshot) => void
+ * @property {Function} restore - async () => snapshot | undefined
+ * @property {Function} remove  - async () => void
+ *
+ * @typedef {Object} PersistedSnapshot
+ * @property {string} buster    - Version string; a mismatch discards the snapshot
+ * @property {number} timestamp - When the snapshot was written
+ * @property {Array<{compositeKey: string, baseKey: string, data: *, dataUpdatedAt: number}>} entries
+ */
+
+const DEFAULT_STORAGE_KEY = 'ww-query-cache';
+
+/**
+ * Persister backed by localStorage (or any Web Storage-like object).
+ *
+ * @param {Object}  [options]
+ * @param {Storage} [options.storage=window.localStorage]
+ * @param {string}  [options.key='ww-query-cache'] - Storage key of the snapshot
+ * @returns {Persister}
+ */
+export function createWebStoragePersister({ storage, key = DEFAULT_STORAGE_KEY } = {}) {
+    const getStorage = () => storage || (typeof window !== 'undefined' ? window.localStorage : null);
+
+    return {
+        async persist(snapshot) {
+            const target = getStorage();
+            if (target) target.setItem(key, JSON.stringify(snapshot));
+        },
+        async restore() {
+            const target = getStorage();
+            const raw = target ? target.getItem(key) : null;
+            return raw ? JSON.parse(raw) : undefined;
+        },
+        async remove() {
+            const target = getStorage();
+            if (target) target.removeItem(key);
+        },
+    };
+}
+
+/**
+ * Persister backed by IndexedDB. Better suited than localStorage for large caches
+ * (no ~5 MB quota, no JSON string round-trip on the main thread).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dbName='ww-query-cache']
+ * @param {string} [options.storeName='snapshots']
+ * @param {string} [options.key='ww-query-cache'] - Record key of the snapshot
+ * @param {IDBFactory} [options.indexedDB=window.indexedDB]
+ * @returns {Persister}
+ */
+export function createIndexedDBPersister({
+    dbName = DEFAULT_STORAGE_KEY,
+    storeName = 'snapshots',
+    key = DEFAULT_STORAGE_KEY,
+    indexedDB,
+} = {}) {
+    let dbPromise = null;
+
+    function openDB() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const factory = indexedDB || (typeof window !== 'undefined' ? window.indexedDB : null);
+                if (!factory) {
+                    reject(new Error('[ww-query-cache] IndexedDB is not available'));
+                    return;
+                }
+                const request = factory.open(dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    async function run(mode, operation) {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    return {
+        persist(snapshot) {
+            return run('readwrite', store => store.put(snapshot, key));
+        },
+        restore() {
+            return run('readonly', store => store.get(key));
+        },
+        remove() {
+            return run('readwrite', store => store.delete(key));
+        },
+    };
+}
+
+/** @type {WeakMap<Object, Object>} cache → persistence controller */
+const controllers = new WeakMap();
+
+/**
+ * Families opted out of persistence, per cache. Kept apart from the controller so an
+ * exclusion made before persistence starts still applies when it does.
+ * @type {WeakMap<Object, Set<string>>}
+ */
+const excludedFamiliesByCache = new WeakMap();
+
+function getExcludedFamilies(cache) {
+    if (!excludedFamiliesByCache.has(cache)) {
+        excludedFamiliesByCache.set(cache, new Set());
+    }
+    return excludedFamiliesByCache.get(cache);
+}
+
+/**
+ * Opt a family out of persistence, whether or not persistQueryCache() was called yet.
+ * Its stored data is dropped and never restored.
+ * @param {Object} cache   - QueryCache instance
+ * @param {string} baseKey
+ */
+export function excludeFromPersistence(cache, baseKey) {
+    const controller = controllers.get(cache);
+    if (controller) {
+        controller.exclude(baseKey);
+    } else {
+        getExcludedFamilies(cache).add(baseKey);
+    }
+}
+
+/**
+ * Start persisting a QueryCache. Only one persistence can be attached per cache:
+ * later calls return the existing controller (the first configuration wins).
+ *
+ * Nothing is persisted unless its family is opted in with include(baseKey).
+ * Families restored from storage stay opted in until exclude(baseKey) is called;
+ * excluded ones (see excludeFromPersistence) are not restored.
+ *
+ * @param {Object}    cache                     - QueryCache instance
+ * @param {Object}    options
+ * @param {Persister} options.persister
+ * @param {number}    [options.maxAge=86400000] - ms after which persisted data is discarded (24h)
+ * @param {string}    [options.buster='']       - Change to discard snapshots written by older app versions
+ * @param {number}    [options.throttleTime=1000] - Minimum ms between two writes
+ * @returns {{ restored: Promise<void>, include: Function, exclude: Function, flush: Function, destroy: Function }}
+ */
+export function persistQueryCache(cache, options) {
+    if (controllers.has(cache)) {
+        return controllers.get(cache);
+    }
+
+    const {
+        persister,
+        maxAge = 86400000,
+        buster = '',
+        throttleTime = 1000,
+    } = options;
+
+    const includedFamilies = new Set();
+    const excludedFamilies = getExcludedFamilies(cache);
+    let isRestored = false;
+    let writeTimeout = null;
+
+    function isPersistable(entry) {
+        return (
+            entry.status === QueryStatus.SUCCESS &&
+            entry.data !== undefined &&
+            !!entry.baseKey &&
+            includedFamilies.has(entry.baseKey) &&
+            !excludedFamilies.has(entry.baseKey)
+        );
+    }
+
+    function dehydrate() {
+        const entries = [];
+        for (const [compositeKey, entry] of cache.entries()) {
+            if (isPersistable(entry)) {
+                entries.push({
+                    compositeKey,
+                    baseKey: entry.baseKey,
+                    data: entry.data,
+                    dataUpdatedAt: entry.dataUpdatedAt,
+                });
+            }
+        }
+        return { buster, timestamp: Date.now(), entries };
+    }
+
+    async function flush() {
+        if (writeTimeout) {
+            clearTimeout(writeTimeout);
+            writeTimeout = null;
+        }
+        // Never overwrite the stored snapshot before it has been read
+        if (!isRestored) {
+            restored.then(scheduleWrite);
+            return;
+        }
+        try {
+            await persister.persist(dehydrate());
+        } catch (err) {
+            cache.logger.error('[ww-query-cache] Failed to persist cache:', err);
+        }
+    }
+
+    function scheduleWrite() {
+        if (writeTimeout) return;
+        writeTimeout = setTimeout(flush, throttleTime);
+    }
+
+    const restored = (async () => {
+        try {
+            const snapshot = await persister.restore();
+            if (!snapshot) return;
+
+            const now = Date.now();
+            if (snapshot.buster !== buster || now - snapshot.timestamp > maxAge) {
+                await persister.remove();
+                return;
+            }
+
+            let hasExcluded = false;
+
+            for (const { compositeKey, baseKey, data, dataUpdatedAt } of snapshot.entries || []) {
+                if (now - dataUpdatedAt > maxAge) continue;
+                if (baseKey && excludedFamilies.has(baseKey)) {
+                    hasExcluded = true;
+                    continue;
+                }
+                if (baseKey) includedFamilies.add(baseKey);
+                cache.hydrate(compositeKey, { data, dataUpdatedAt }, baseKey);
+            }
+            // Drop the excluded families from storage
+            if (hasExcluded) scheduleWrite();
+        } catch (err) {
+            cache.logger.error('[ww-query-cache] Failed to restore persisted cache:', err);
+        } finally {
+            isRestored = true;
+        }
+    })();
+
+    const offDataUpdated = cache.on('dataUpdated', ({ entry }) => {
+        if (isPersistable(entry)) scheduleWrite();
+    });
+    const offRemoved = cache.on('removed', ({ baseKey }) => {
+        if (includedFamilies.has(baseKey)) scheduleWrite();
+    });
+
+    const controller = {
+        restored,
+        /**
+         * Opt a family in to persistence.
+         * @param {string} baseKey
+         */
+        include(baseKey) {
+            excludedFamilies.delete(baseKey);
+            if (!includedFamilies.has(baseKey)) {
+                includedFamilies.add(baseKey);
+                scheduleWrite();
+            }
+        },
+        /**
+         * Opt a family out of persistence (e.g. auth-sensitive data). Its stored data is dropped.
+         * @param {string} baseKey
+         */
+        exclude(baseKey) {
+            includedFamilies.delete(baseKey);
+            excludedFamilies.add(baseKey);
+            scheduleWrite();
+        },
+        flush,
+        /**
+         * Stop persisting and detach from the cache. Stored data is kept.
+         */
+        destroy() {
+            if (writeTimeout) clearTimeout(writeTimeout);
+            offDataUpdated();
+            offRemoved();
+            controllers.delete(cache);
+        },
+    };
+
+    controllers.set(cache, controller);
+    return controller;
+}
@@ -0,0 +1,143 @@
+import { getRetryDelay } from './retry.js';
+
+/**
+ * Real-time connection (Server-Sent Events or WebSocket) with automatic reconnection.
+ *
+ * Messages are parsed as JSON when possible and handed to `onMessage`; what they
+ * mean for the cache (merge into pages, invalidate…) is up to the caller.
+ * Dropped connections are reopened with backoff (see retry.js), and every status
+ * change is reported through `onStatusChange`.
+ */
+
+/**
+ * Connection status constants.
+ */
+export const ConnectionStatus = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    RECONNECTING: 'reconnecting',
+    CLOSED: 'closed',
+};
+
+/**
+ * Open a real-time connection.
+ *
+ * @param {Object}   options
+ * @param {string}   options.url
+ * @param {string}   [options.transport='sse']      - 'sse' or 'websocket'
+ * @param {Function} options.onMessage              - (message) => void
+ * @param {Function} [options.onStatusChange]       - (status) => void, status is a ConnectionStatus value
+ * @param {number|Function} [options.retryDelay]    - Delay before reconnecting (default: exponential backoff)
+ * @param {number}   [options.maxRetries=Infinity]  - Reconnection attempts in a row before giving up
+ * @param {Object}   [options.logger=console]       - { log, warn, error }, e.g. cache.logger
+ * @param {Function} [options.EventSource=window.EventSource]
+ * @param {Function} [options.WebSocket=window.WebSocket]
+ * @returns {{ close: Function }}
+ */
+export function connectRealtime(options) {
+    const {
+        url,
+        transport = 'sse',
+        onMessage,
+        onStatusChange,
+        retryDelay,
+        maxRetries = Infinity,
+        logger = console,
+    } = options;
+    const globalScope = typeof window !== 'undefined' ? window : {};
+    const EventSourceImpl = options.EventSource || globalScope.EventSource;
+    const WebSocketImpl = options.WebSocket || globalScope.WebSocket;
+
+    let socket = null;
+    let failureCount = 0;
+    let reconnectTimeout = null;
+    let isClosed = false;
+
+    function setStatus(status) {
+        if (onStatusChange) onStatusChange(status);
+    }
+
+    function handleData(raw) {
+        let message = raw;
+        if (typeof raw === 'string') {
+            try {
+                message = JSON.parse(raw);
+            } catch (e) {
+                // Not JSON: pass the raw text
+            }
+        }
+        try {
+            onMessage(message);
+        } catch (err) {
+            logger.error('[ww-query-cache] Realtime message handler error:', err);
+        }
+    }
+
+    function handleOpen() {
+        failureCount = 0;
+        setStatus(ConnectionStatus.OPEN);
+    }
+
+    function scheduleReconnect() {
+        if (isClosed) return;
+        socket = null;
+        failureCount++;
+        if (failureCount > maxRetries) {
+            setStatus(ConnectionStatus.CLOSED);
+            return;
+        }
+        setStatus(ConnectionStatus.RECONNECTING);
+        reconnectTimeout = setTimeout(open, getRetryDelay(retryDelay, failureCount));
+    }
+
+    function open() {
+        reconnectTimeout = null;
+        if (failureCount === 0) setStatus(ConnectionStatus.CONNECTING);
+
+        try {
+            if (transport === 'websocket') {
+                if (!WebSocketImpl) throw new Error('[ww-query-cache] WebSocket is not available');
+                socket = new WebSocketImpl(url);
+                socket.onopen = handleOpen;
+                socket.onmessage = event => handleData(event.data);
+                // An error is always followed by a close event
+                socket.onclose = scheduleReconnect;
+            } else {
+                if (!EventSourceImpl) throw new Error('[ww-query-cache] EventSource is not available');
+                const source = new EventSourceImpl(url);
+                socket = source;
+                source.onopen = handleOpen;
+                source.onmessage = event => handleData(event.data);
+                // Reconnect with our own backoff instead of the browser's fixed retry
+                source.onerror = () => {
+                    source.close();
+                    scheduleReconnect();
+                };
+            }
+        } catch (err) {
+            logger.error('[ww-query-cache] Failed to open realtime connection:', err);
+            scheduleReconnect();
+        }
+    }
+
+    open();
+
+    return {
+        /**
+         * Close the connection and stop reconnecting.
+         */
+        close() {
+            if (isClosed) return;
+            isClosed = true;
+            if (reconnectTimeout) clearTimeout(reconnectTimeout);
+            if (socket) {
+                socket.onclose = null;
+                socket.onerror = null;
+                socket.close();
+                socket = null;
+            }
+            setStatus(ConnectionStatus.CLOSED);
+        },
+    };
+}
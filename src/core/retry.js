@@ -0,0 +1,122 @@
+/**
+ * Retry helpers used by QueryCache.fetch.
+ *
+ * Retry options accepted by QueryCache.fetch / QueryObserver:
+ *   - retry:      number of retries, true (= 3), false (= 0),
+ *                 or (failureCount, error) => boolean
+ *   - retryDelay: ms between attempts, or (failureCount, error) => ms
+ *
+ * A Retry-After header on a 429 / 503 response (error.retryAfter) replaces the
+ * delay, unless retryDelay is a function: it decides with the error in hand.
+ */
+
+/**
+ * Default number of retries when `retry: true` is passed.
+ */
+export const DEFAULT_RETRY_COUNT = 3;
+
+/**
+ * Longest Retry-After that is waited for: beyond it the fetch fails right away,
+ * and the error's retryAfter tells when to try again.
+ */
+export const MAX_RETRY_AFTER = 60000;
+
+/**
+ * Parse a Retry-After header: a number of seconds or an HTTP date.
+ *
+ * @param {string|null} value
+ * @param {number}      [now=Date.now()]
+ * @returns {number|null} ms to wait, or null if the header is missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * @param {*} error
+ * @returns {number|null} ms the server asked to wait (Retry-After), or null
+ */
+function getRetryAfter(error) {
+    return error && typeof error.retryAfter === 'number' ? error.retryAfter : null;
+}
+
+/**
+ * Default backoff: exponential (1s, 2s, 4s… capped at 30s) with jitter,
+ * so that many clients failing together don't retry in lockstep.
+ *
+ * @param {number} failureCount - Number of failed attempts so far (1 on the first retry)
+ * @returns {number} ms to wait before the next attempt
+ */
+export function defaultRetryDelay(failureCount) {
+    const exponential = Math.min(1000 * 2 ** (failureCount - 1), 30000);
+    return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+/**
+ * Default rule for which errors are worth retrying.
+ * Network errors (no HTTP status) and 5xx are retried; 4xx are not,
+ * except 408 (Request Timeout) and 429 (Too Many Requests).
+ *
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+    const status = error && error.status;
+    if (typeof status !== 'number') return true;
+    if (status === 408 || status === 429) return true;
+    return status >= 500;
+}
+
+/**
+ * Decide whether another attempt should be made.
+ *
+ * @param {number|boolean|Function} retry
+ * @param {number} failureCount - Number of failed attempts so far
+ * @param {*}      error        - The last error
+ * @returns {boolean}
+ */
+export function shouldRetry(retry, failureCount, error) {
+    if (typeof retry === 'function') return !!retry(failureCount, error);
+    if (!isRetryableError(error)) return false;
+    if (getRetryAfter(error) > MAX_RETRY_AFTER) return false;
+    const maxRetries = retry === true ? DEFAULT_RETRY_COUNT : Number(retry) || 0;
+    return failureCount <= maxRetries;
+}
+
+/**
+ * Resolve the delay before the next attempt.
+ *
+ * @param {number|Function} [retryDelay]
+ * @param {number} failureCount
+ * @param {*}      error
+ * @returns {number} ms
+ */
+export function getRetryDelay(retryDelay, failureCount, error) {
+    if (typeof retryDelay === 'function') return retryDelay(failureCount, error);
+    const retryAfter = getRetryAfter(error);
+    if (retryAfter !== null) return retryAfter;
+    if (typeof retryDelay === 'number' && retryDelay > 0) return retryDelay;
+    return defaultRetryDelay(failureCount);
+}
+
+/**
+ * Wait for the given number of ms. Resolves early if the signal aborts.
+ * @param {number}      ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const timeoutId = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timeoutId);
+                resolve();
+            }, { once: true });
+        }
+    });
+}
@@ -0,0 +1,159 @@
+/**
+ * Opt-in cross-tab synchronization for the QueryCache.
+ *
+ * Each tab has its own cache. With sync enabled, invalidations, removals and
+ * successful data updates of opted-in families are broadcast to the other
+ * same-origin tabs over a BroadcastChannel and applied to the matching keys there.
+ *
+ * Only keys the receiving tab already has are touched: a tab never gains entries
+ * it did not ask for. Invalidated entries are refetched if they have subscribers,
+ * like local invalidations; a removed entry that has subscribers is invalidated and
+ * refetched rather than removed, so the components showing it keep working.
+ * Garbage collection is local to each tab and is not broadcast.
+ *
+ * @typedef {Object} SyncMessage
+ * @property {string} tabId         - Sender tab (messages from this tab are ignored)
+ * @property {string} type          - 'dataUpdated' | 'invalidated' | 'removed'
+ * @property {string} compositeKey
+ * @property {string} baseKey
+ * @property {*}      [data]          - dataUpdated only
+ * @property {number} [dataUpdatedAt] - dataUpdated only
+ */
+
+const DEFAULT_CHANNEL_NAME = 'ww-query-cache';
+
+/** @type {WeakMap<Object, Object>} cache → sync controller */
+const controllers = new WeakMap();
+
+function createTabId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Start synchronizing a QueryCache with the other tabs. Only one sync can be
+ * attached per cache: later calls return the existing controller.
+ *
+ * Nothing is broadcast or applied unless its family is opted in with include(baseKey),
+ * in both the sending and the receiving tab.
+ *
+ * @param {Object}   cache                             - QueryCache instance
+ * @param {Object}   [options]
+ * @param {string}   [options.channelName='ww-query-cache'] - Tabs sync with tabs using the same name
+ * @param {Function} [options.BroadcastChannel=window.BroadcastChannel]
+ * @returns {{ include: Function, exclude: Function, destroy: Function }|null}
+ *          null when BroadcastChannel is not available
+ */
+export function syncQueryCache(cache, options = {}) {
+    if (controllers.has(cache)) {
+        return controllers.get(cache);
+    }
+
+    const { channelName = DEFAULT_CHANNEL_NAME } = options;
+    const Channel = options.BroadcastChannel ||
+        (typeof window !== 'undefined' ? window.BroadcastChannel : undefined);
+    if (!Channel) return null;
+
+    const channel = new Channel(channelName);
+    const tabId = createTabId();
+    const includedFamilies = new Set();
+    // True while a remote change is applied, so the cache events it triggers are not sent back
+    let isApplyingRemote = false;
+
+    function post(type, payload) {
+        if (isApplyingRemote || !payload.baseKey || !includedFamilies.has(payload.baseKey)) return;
+        try {
+            channel.postMessage({ tabId, type, ...payload });
+        } catch (err) {
+            // e.g. DataCloneError: the data can't be sent, the other tabs keep theirs
+            cache.logger.error('[ww-query-cache] Failed to broadcast cache update:', err);
+        }
+    }
+
+    function invalidateEntry(compositeKey) {
+        cache.invalidateQueries({ predicate: ({ compositeKey: key }) => key === compositeKey });
+    }
+
+    function apply(message) {
+        const { type, compositeKey, baseKey } = message;
+        if (!cache.has(compositeKey)) return;
+
+        switch (type) {
+            case 'dataUpdated': {
+                const entry = cache.get(compositeKey, baseKey);
+                // An older update must not overwrite newer local data
+                if (entry.dataUpdatedAt > message.dataUpdatedAt) return;
+                cache.setQueryData(compositeKey, message.data, baseKey);
+                break;
+            }
+            case 'invalidated':
+                // Displayed entries are refetched, as for a local invalidation
+                invalidateEntry(compositeKey);
+                break;
+            case 'removed':
+                // A displayed entry is kept: it is invalidated and refetched instead
+                if (cache.get(compositeKey, baseKey).subscribers.size > 0) {
+                    invalidateEntry(compositeKey);
+                } else {
+                    cache.remove(compositeKey, baseKey);
+                }
+                break;
+        }
+    }
+
+    channel.onmessage = event => {
+        const message = event.data;
+        if (!message || message.tabId === tabId) return;
+        if (!includedFamilies.has(message.baseKey)) return;
+
+        isApplyingRemote = true;
+        try {
+            apply(message);
+        } catch (err) {
+            cache.logger.error('[ww-query-cache] Failed to apply cache update from another tab:', err);
+        } finally {
+            isApplyingRemote = false;
+        }
+    };
+
+    const offDataUpdated = cache.on('dataUpdated', ({ compositeKey, baseKey, entry }) => {
+        post('dataUpdated', { compositeKey, baseKey, data: entry.data, dataUpdatedAt: entry.dataUpdatedAt });
+    });
+    const offInvalidated = cache.on('invalidated', ({ compositeKey, baseKey }) => {
+        post('invalidated', { compositeKey, baseKey });
+    });
+    const offRemoved = cache.on('removed', ({ compositeKey, baseKey, reason }) => {
+        // Each tab garbage-collects on its own schedule
+        if (reason !== 'remove') return;
+        post('removed', { compositeKey, baseKey });
+    });
+
+    const controller = {
+        /**
+         * Opt a family in to cross-tab sync.
+         * @param {string} baseKey
+         */
+        include(baseKey) {
+            includedFamilies.add(baseKey);
+        },
+        /**
+         * Opt a family out of cross-tab sync.
+         * @param {string} baseKey
+         */
+        exclude(baseKey) {
+            includedFamilies.delete(baseKey);
+        },
+        /**
+         * Stop synchronizing and close the channel.
+         */
+        destroy() {
+            offDataUpdated();
+            offInvalidated();
+            offRemoved();
+            channel.close();
+            controllers.delete(cache);
+        },
+    };
+
+    controllers.set(cache, controller);
+    return controller;
+}
@@ -0,0 +1,284 @@
+import { QueryError } from './errors.js';
+import { parseRetryAfter } from './retry.js';
+
+/**
+ * Transports: how a request is sent and its response read.
+ *
+ * Queries describe what they need as a TransportRequest; the transport turns it into
+ * a network call (or anything else returning data). Built-in transports:
+ *   - rest:    fetch() with params in the query string (GET) or the encoded body
+ *   - graphql: POST of { query, variables, operationName }, returning `data`
+ *   - custom:  calls request.fetcher(request, { signal }), e.g. a WeWeb workflow
+ *
+ * Other transports can be added with registerTransport(name, { send }).
+ * The built-in ones fail with a QueryError (see errors.js).
+ *
+ * @typedef {Object} TransportRequest
+ * @property {string}   [url]           - Endpoint (rest, graphql)
+ * @property {string}   [method='GET']  - HTTP method (rest)
+ * @property {Object}   [headers]
+ * @property {string}   [contentType='application/json'] - Body encoding (rest, non-GET):
+ *                                        JSON, application/x-www-form-urlencoded or multipart/form-data
+ * @property {Object}   [params]        - Query string (GET), merged into the body (other methods)
+ *                                        or into the variables (graphql)
+ * @property {Object}   [body]          - Base body (rest, non-GET)
+ * @property {string}   [query]         - GraphQL document (graphql)
+ * @property {Object}   [variables]     - GraphQL variables (graphql)
+ * @property {string}   [operationName] - GraphQL operation to run (graphql)
+ * @property {Function} [fetcher]       - (request, { signal }) => data (custom)
+ * @property {*}        [pageParam]     - Page requested, for infinite queries
+ */
+
+/**
+ * Built-in transport names.
+ */
+export const TransportType = {
+    REST: 'rest',
+    GRAPHQL: 'graphql',
+    CUSTOM: 'custom',
+};
+
+const FORM_URL_ENCODED = 'application/x-www-form-urlencoded';
+const MULTIPART = 'multipart/form-data';
+
+function isEmptyValue(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function getBaseUrl() {
+    return typeof window !== 'undefined' ? window.location.origin : undefined;
+}
+
+/**
+ * @param {*} value
+ * @returns {string|Blob} Form field value: objects as JSON, files as-is
+ */
+function toFormValue(value) {
+    if (typeof Blob !== 'undefined' && value instanceof Blob) return value;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Encode a request body for a content type. Arrays become repeated fields
+ * in form encodings; null and undefined fields are left out.
+ *
+ * @param {Object} data
+ * @param {string} contentType
+ * @returns {string|URLSearchParams|FormData}
+ */
+export function encodeBody(data, contentType) {
+    if (contentType !== FORM_URL_ENCODED && contentType !== MULTIPART) {
+        return JSON.stringify(data);
+    }
+
+    const form = contentType === MULTIPART ? new FormData() : new URLSearchParams();
+    for (const [key, value] of Object.entries(data || {})) {
+        if (value === undefined || value === null) continue;
+        const values = Array.isArray(value) ? value : [value];
+        for (const item of values) {
+            const formValue = toFormValue(item);
+            // URLSearchParams only takes strings
+            form.append(key, contentType === MULTIPART ? formValue : String(formValue));
+        }
+    }
+    return form;
+}
+
+/**
+ * @param {Response} response
+ * @returns {boolean} true if the body is JSON
+ */
+function isJsonResponse(response) {
+    const contentTypeHeader = response.headers.get('content-type') || '';
+    return contentTypeHeader.includes('application/json') || contentTypeHeader.includes('+json');
+}
+
+/**
+ * fetch(), failing with a QueryError when no response arrives (network error or timeout).
+ * Aborted requests reject as-is: the cache reports them as cancellations.
+ *
+ * @param {string} url
+ * @param {Object} [init] - fetch() options
+ * @returns {Promise<Response>}
+ */
+export async function fetchResponse(url, init = {}) {
+    try {
+        return await fetch(url, init);
+    } catch (err) {
+        if (init.signal && init.signal.aborted) throw err;
+        const isTimeout = !!err && err.name === 'TimeoutError';
+        throw new QueryError(
+            `[ww-query-cache] ${isTimeout ? 'Request timed out' : 'Network error'}: ${err && err.message ? err.message : err}`,
+            { isNetworkError: !isTimeout, isTimeout, cause: err }
+        );
+    }
+}
+
+/**
+ * Parse a response body (JSON or text), or throw a QueryError with the HTTP status,
+ * the parsed body, the headers and, on 429 / 503, the Retry-After delay.
+ *
+ * @param {Response} response
+ * @returns {Promise<*>}
+ */
+export async function readResponse(response) {
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        let body = errorText || null;
+        if (errorText && isJsonResponse(response)) {
+            try {
+                body = JSON.parse(errorText);
+            } catch (e) {
+                // Invalid JSON: keep the text
+            }
+        }
+        const { status } = response;
+        // Used by the retry rule: 4xx are not retried, Retry-After sets the delay
+        throw new QueryError(
+            `[ww-query-cache] HTTP ${status}: ${response.statusText}${errorText ? ` — ${errorText}` : ''}`,
+            {
+                status,
+                statusText: response.statusText,
+                body,
+                headers: Object.fromEntries(response.headers.entries()),
+                isTimeout: status === 408 || status === 504,
+                retryAfter: status === 429 || status === 503
+                    ? parseRetryAfter(response.headers.get('retry-after'))
+                    : null,
+            }
+        );
+    }
+
+    if (isJsonResponse(response)) {
+        return response.json();
+    }
+    return response.text();
+}
+
+const restTransport = {
+    async send(request, { signal } = {}) {
+        if (!request.url) {
+            throw new Error('[ww-query-cache] No URL for the REST request');
+        }
+        const method = (request.method || 'GET').toUpperCase();
+        const headers = { ...(request.headers || {}) };
+        const params = request.params || {};
+
+        if (method === 'GET' || method === 'HEAD') {
+            const url = new URL(request.url, getBaseUrl());
+            for (const [key, value] of Object.entries(params)) {
+                if (!isEmptyValue(value)) {
+                    url.searchParams.set(key, String(value));
+                }
+            }
+            return readResponse(await fetchResponse(url.toString(), { method, headers, signal }));
+        }
+
+        const contentType = request.contentType || 'application/json';
+        // The browser sets the multipart boundary itself
+        if (contentType !== MULTIPART) {
+            headers['Content-Type'] = contentType;
+        }
+        const body = encodeBody({ ...(request.body || {}), ...params }, contentType);
+        return readResponse(await fetchResponse(request.url, { method, headers, body, signal }));
+    },
+};
+
+const graphqlTransport = {
+    async send(request, { signal } = {}) {
+        if (!request.url) {
+            throw new Error('[ww-query-cache] No URL for the GraphQL request');
+        }
+        if (!request.query) {
+            throw new Error('[ww-query-cache] No query for the GraphQL request');
+        }
+
+        const response = await fetchResponse(request.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/json',
+                ...(request.headers || {}),
+            },
+            body: JSON.stringify({
+                query: request.query,
+                variables: { ...(request.variables || {}), ...(request.params || {}) },
+                operationName: request.operationName || undefined,
+            }),
+            signal,
+        });
+
+        // GraphQL servers report errors with a 200 response: the error carries its status,
+        // so it is not retried, and the whole result ({ errors, data }) as body
+        const result = await readResponse(response);
+        if (result && Array.isArray(result.errors) && result.errors.length > 0) {
+            throw new QueryError(
+                `[ww-query-cache] GraphQL error: ${result.errors.map(err => err.message).join('; ')}`,
+                {
+                    status: response.status,
+                    statusText: response.statusText,
+                    body: result,
+                    headers: Object.fromEntries(response.headers.entries()),
+                }
+            );
+        }
+        return result && typeof result === 'object' ? result.data : result;
+    },
+};
+
+const customTransport = {
+    async send(request, context = {}) {
+        if (typeof request.fetcher !== 'function') {
+            throw new Error('[ww-query-cache] The custom transport needs a fetcher function');
+        }
+        return request.fetcher(request, context);
+    },
+};
+
+const transports = {
+    [TransportType.REST]: restTransport,
+    [TransportType.GRAPHQL]: graphqlTransport,
+    [TransportType.CUSTOM]: customTransport,
+};
+
+/**
+ * Add a transport, or replace one (built-in ones included).
+ *
+ * @param {string} name
+ * @param {Object} transport - { send(request, { signal }) => Promise<data> }
+ */
+export function registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error(`[ww-query-cache] Transport "${name}" must have a send(request, { signal }) method`);
+    }
+    transports[name] = transport;
+}
+
+/**
+ * Get a transport by name. Transport objects are returned as-is.
+ *
+ * @param {string|Object} [transport='rest'] - Name, or { send }
+ * @returns {Object} transport
+ */
+export function getTransport(transport = TransportType.REST) {
+    if (transport && typeof transport === 'object') return transport;
+    const found = transports[transport];
+    if (!found) {
+        throw new Error(`[ww-query-cache] Unknown transport "${transport}"`);
+    }
+    return found;
+}
+
+/**
+ * Send a request with a transport.
+ *
+ * @param {string|Object}    transport - Name, or { send }
+ * @param {TransportRequest} request
+ * @param {Object}           [context]
+ * @param {AbortSignal}      [context.signal]
+ * @returns {Promise<*>} The response data
+ */
+export async function sendRequest(transport, request, context = {}) {
+    return getTransport(transport).send(request, context);
+}
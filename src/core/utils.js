@@ -36,6 +36,215 @@ export function isStale(fetchedAt, staleTime) {
     return Date.now() - fetchedAt > staleTime;
 }
 
+/**
+ * Safely access a nested property by dot-notation path.
+ * e.g. getByPath({ meta: { nextPage: 3 } }, 'meta.nextPage') => 3
+ *
+ * @param {*}      obj
+ * @param {string} path - Dot-notation path
+ * @returns {*} The value at the path, or undefined
+ */
+export function getByPath(obj, path) {
+    if (!path || !obj) return undefined;
+    return path.split('.').reduce((current, key) => {
+        if (current === null || current === undefined) return undefined;
+        return current[key];
+    }, obj);
+}
+
+/**
+ * Return a copy of obj with the value at a dot-notation path replaced.
+ * Objects along the path are shallow-copied; the original is not mutated.
+ *
+ * @param {*}      obj
+ * @param {string} path  - Dot-notation path
+ * @param {*}      value
+ * @returns {*} The new object
+ */
+export function setByPath(obj, path, value) {
+    const [key, ...rest] = path.split('.');
+    const current = obj !== null && obj !== undefined ? obj[key] : undefined;
+    const next = rest.length > 0 ? setByPath(current, rest.join('.'), value) : value;
+    if (Array.isArray(obj)) {
+        const copy = [...obj];
+        copy[key] = next;
+        return copy;
+    }
+    return { ...(obj || {}), [key]: next };
+}
+
+/**
+ * Extract the list of items from a page response.
+ * With an itemsPath, the items are read at that dot-path (e.g. "payload.records").
+ * Otherwise a page is either an array of items or an object with a `data` array.
+ *
+ * @param {*}      page        - Raw page response
+ * @param {string} [itemsPath] - Dot-path to the item list
+ * @returns {Array|undefined} The items, or undefined if the page has no item list
+ */
+export function getPageItems(page, itemsPath) {
+    if (itemsPath) {
+        const items = getByPath(page, itemsPath);
+        return Array.isArray(items) ? items : undefined;
+    }
+    if (Array.isArray(page)) return page;
+    if (page && typeof page === 'object' && Array.isArray(page.data)) return page.data;
+    return undefined;
+}
+
+/**
+ * Return a copy of a page response with its item list replaced.
+ * Mirrors getPageItems: the list at itemsPath, the array itself, or the `data` array
+ * is replaced. Pages without an item list are returned unchanged.
+ *
+ * @param {*}      page        - Raw page response
+ * @param {Array}  items       - New item list
+ * @param {string} [itemsPath] - Dot-path to the item list
+ * @returns {*} The new page
+ */
+export function setPageItems(page, items, itemsPath) {
+    if (!getPageItems(page, itemsPath)) return page;
+    if (itemsPath) return setByPath(page, itemsPath, items);
+    if (Array.isArray(page)) return items;
+    return { ...page, data: items };
+}
+
+/**
+ * Remove items sharing the same id. Items without an id are always kept.
+ * Ids are compared as strings, so "42" and 42 are duplicates.
+ *
+ * @param {Array}  items
+ * @param {string} [idPath='id']  - Dot-path to the item id
+ * @param {string} [keep='first'] - Which occurrence wins: 'first' or 'last' (in list order)
+ * @returns {{ items: Array, duplicateCount: number }}
+ */
+export function dedupeItems(items, idPath = 'id', keep = 'first') {
+    const seen = new Set();
+    const ordered = keep === 'last' ? [...items].reverse() : items;
+    const unique = [];
+
+    for (const item of ordered) {
+        const id = getByPath(item, idPath);
+        if (id === undefined || id === null) {
+            unique.push(item);
+            continue;
+        }
+        const key = String(id);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        unique.push(item);
+    }
+
+    return {
+        items: keep === 'last' ? unique.reverse() : unique,
+        duplicateCount: items.length - unique.length,
+    };
+}
+
+/**
+ * Map over items with an async function, running at most `limit` calls at a time.
+ * Results keep the order of the items; the first rejection rejects the whole call.
+ *
+ * @param {Array}    items
+ * @param {number}   limit - Max concurrent calls (>= 1)
+ * @param {Function} fn    - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+function isPlainObject(value) {
+    if (Object.prototype.toString.call(value) !== '[object Object]') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === null || proto === Object.prototype;
+}
+
+/**
+ * Structural sharing: return `next`, but reuse every subtree of `prev` that is
+ * deeply equal to its counterpart in `next`. If both are deeply equal, `prev`
+ * itself is returned, so `result === prev` tells that nothing changed.
+ * Only plain objects and arrays are compared; other values are taken from `next`.
+ *
+ * @param {*} prev - Previous data
+ * @param {*} next - New data
+ * @returns {*}
+ */
+export function replaceEqualDeep(prev, next) {
+    if (prev === next) return prev;
+
+    const isArray = Array.isArray(prev) && Array.isArray(next);
+    if (!isArray && !(isPlainObject(prev) && isPlainObject(next))) return next;
+
+    const prevKeys = isArray ? null : Object.keys(prev);
+    const nextKeys = isArray ? null : Object.keys(next);
+    const prevSize = isArray ? prev.length : prevKeys.length;
+    const nextSize = isArray ? next.length : nextKeys.length;
+    const copy = isArray ? new Array(nextSize) : {};
+    let equalCount = 0;
+
+    for (let i = 0; i < nextSize; i++) {
+        const key = isArray ? i : nextKeys[i];
+        copy[key] = replaceEqualDeep(prev[key], next[key]);
+        const existedBefore = isArray ? i < prevSize : Object.prototype.hasOwnProperty.call(prev, key);
+        if (existedBefore && copy[key] === prev[key]) equalCount++;
+    }
+
+    return prevSize === nextSize && equalCount === prevSize ? prev : copy;
+}
+
+/**
+ * Rough memory footprint of a value in bytes, for the cache size limit:
+ * 2 bytes per string character, 8 per number, 4 per boolean, plus the keys of
+ * objects. Shared references are counted once; other values (Date, Blob…) count 8.
+ *
+ * @param {*}       value
+ * @param {WeakSet} [seen] - Objects already counted
+ * @returns {number}
+ */
+export function estimateSize(value, seen = new WeakSet()) {
+    if (value === null || value === undefined) return 0;
+    switch (typeof value) {
+        case 'string':
+            return value.length * 2;
+        case 'number':
+            return 8;
+        case 'boolean':
+            return 4;
+        case 'object':
+            break;
+        default:
+            return 8;
+    }
+    if (seen.has(value)) return 0;
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.reduce((size, item) => size + estimateSize(item, seen), 0);
+    }
+    if (!isPlainObject(value)) return 8;
+    let size = 0;
+    for (const key of Object.keys(value)) {
+        size += key.length * 2 + estimateSize(value[key], seen);
+    }
+    return size;
+}
+
 /**
  * Query status constants.
  */
@@ -45,3 +254,13 @@ export const QueryStatus = {
     SUCCESS: 'success',
     ERROR: 'error',
 };
+
+/**
+ * Fetch status constants: whether a request is running, independently of the data status.
+ * A paused fetch waits for the network to come back (see onlineManager.js).
+ */
+export const FetchStatus = {
+    IDLE: 'idle',
+    FETCHING: 'fetching',
+    PAUSED: 'paused',
+};
@@ -10,17 +10,43 @@ export default {
         },
         customSettingsPropertiesOrder: [
             'queryKey',
+            'transport',
             'endpoint',
+            'fetcherWorkflowId',
             'params',
             ['method', 'contentType'],
             'headers',
             'body',
-            ['pageParamKey', 'initialPageParam'],
+            ['graphqlQuery', 'graphqlVariables'],
+            'paginationMode',
+            'connectionPath',
+            ['pageParamKey', 'initialPageParam', 'initialCursor'],
+            'startPageParam',
+            ['pageSize', 'limitParamKey'],
             ['nextPagePath', 'previousPagePath'],
-            'maxPages',
+            ['itemsPath', 'totalCountPath'],
+            ['selectPage', 'selectData'],
+            'itemIdPath',
+            ['dedupeItems', 'dedupeKeep'],
+            ['maxPages', 'prefetchNextPage'],
+            ['autoFetch', 'autoFetchPrevious'],
+            ['sentinelRootMargin', 'sentinelThreshold'],
+            ['autoFetchCooldown', 'sentinelSelector'],
+            'keepPreviousData',
+            ['placeholderData', 'initialData'],
             ['staleTime', 'cacheTime'],
             ['refetchInterval', 'refetchOnWindowFocus'],
+            'refetchOnReconnect',
+            ['refetchConcurrency', 'refetchPageLimit'],
+            ['retry', 'retryDelay'],
+            ['persist', 'persistStorage'],
+            ['persistMaxAge', 'persistBuster'],
+            'syncTabs',
+            ['realtimeUrl', 'realtimeTransport'],
+            ['realtimeAction', 'realtimeInsertPosition'],
+            ['realtimeTypePath', 'realtimeItemPath'],
             'enabled',
+            'devtools',
         ],
     },
     triggerEvents: [
@@ -32,13 +58,46 @@ export default {
         {
             name: 'onError',
             label: { en: 'On error' },
-            event: { error: null },
+            event: {
+                error: {
+                    name: 'QueryError',
+                    message: '',
+                    status: 404,
+                    statusText: 'Not Found',
+                    body: null,
+                    headers: {},
+                    isNetworkError: false,
+                    isTimeout: false,
+                    retryAfter: null,
+                    pageParam: null,
+                },
+            },
         },
         {
             name: 'onSettled',
             label: { en: 'On settled' },
             event: { data: null, error: null },
         },
+        {
+            name: 'onCancel',
+            label: { en: 'On cancel' },
+            event: { pageParams: [] },
+        },
+        {
+            name: 'onPageChange',
+            label: { en: 'On page change' },
+            event: { pageParam: null, previousPageParam: null },
+        },
+        {
+            name: 'onMutationSuccess',
+            label: { en: 'On mutation success' },
+            event: { mutationId: '', result: null },
+        },
+        {
+            name: 'onMutationError',
+            label: { en: 'On mutation error' },
+            event: { mutationId: '', error: null },
+        },
         {
             name: 'onFetchNextPage',
             label: { en: 'On fetch next page' },
@@ -62,17 +121,90 @@ export default {
         {
             label: 'Refetch all pages',
             action: 'refetchAll',
+            args: [{ name: 'Page limit (optional)', type: 'Number' }],
         },
         {
             label: 'Reset pages',
             action: 'resetPages',
         },
+        {
+            label: 'Jump to page',
+            action: 'jumpToPage',
+            args: [{ name: 'Page param (empty = start page param)', type: 'Text' }],
+        },
         {
             label: 'Invalidate',
             action: 'invalidate',
         },
+        {
+            label: 'Invalidate queries',
+            action: 'invalidateQueries',
+            args: [
+                { name: 'Query key or prefix (empty = all)', type: 'Text' },
+                { name: 'Refetch ("active", "all" or "none")', type: 'Text' },
+                { name: 'Key starts with (optional, e.g. "user-")', type: 'Text' },
+            ],
+        },
+        {
+            label: 'Prefetch',
+            action: 'prefetch',
+            args: [
+                { name: 'Query key', type: 'Text' },
+                { name: 'URL', type: 'Text' },
+                { name: 'Params (optional)', type: 'Object' },
+                { name: 'Stale time in ms (optional)', type: 'Number' },
+            ],
+        },
+        {
+            label: 'Cancel',
+            action: 'cancel',
+        },
+        {
+            label: 'Update item by id',
+            action: 'updateItem',
+            args: [
+                { name: 'Item id', type: 'Text' },
+                { name: 'Changes', type: 'Object' },
+                { name: 'Request (optional)', type: 'Object' },
+            ],
+        },
+        {
+            label: 'Insert item',
+            action: 'insertItem',
+            args: [
+                { name: 'Item', type: 'Object' },
+                { name: 'Position ("start" or "end")', type: 'Text' },
+                { name: 'Request (optional)', type: 'Object' },
+            ],
+        },
+        {
+            label: 'Remove item',
+            action: 'removeItem',
+            args: [
+                { name: 'Item id', type: 'Text' },
+                { name: 'Request (optional)', type: 'Object' },
+            ],
+        },
+        {
+            label: 'Rollback mutation',
+            action: 'rollbackMutation',
+            args: [{ name: 'Mutation id (empty = last)', type: 'Text' }],
+        },
     ],
     properties: {
+        transport: {
+            label: { en: 'Transport' },
+            type: 'TextSelect',
+            section: 'settings',
+            options: {
+                options: [
+                    { value: 'rest', label: { en: 'REST' } },
+                    { value: 'graphql', label: { en: 'GraphQL' } },
+                    { value: 'custom', label: { en: 'Custom workflow' } },
+                ],
+            },
+            defaultValue: 'rest',
+        },
         queryKey: {
             label: { en: 'Query key' },
             type: 'Text',
@@ -97,7 +229,22 @@ export default {
             bindingValidation: {
                 type: 'string',
                 tooltip:
-                    'The base URL to fetch. Params + page param will be appended as query string for GET. Example: "https://api.example.com/posts"',
+                    'The base URL to fetch. Params + page param will be appended as query string for GET. With the GraphQL transport, the GraphQL endpoint. Example: "https://api.example.com/posts"',
+            },
+            /* wwEditor:end */
+        },
+        fetcherWorkflowId: {
+            label: { en: 'Fetcher workflow' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: '',
+            hidden: content => content.transport !== 'custom',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip:
+                    'Id of the global workflow loading a page, e.g. with a Xano or Supabase action. It receives { pageParam, params } (params include the page params) and its return value is the page.',
             },
             /* wwEditor:end */
         },
@@ -126,6 +273,7 @@ export default {
                 ],
             },
             defaultValue: 'GET',
+            hidden: content => (content.transport || 'rest') !== 'rest',
         },
         contentType: {
             label: { en: 'Content type' },
@@ -135,10 +283,11 @@ export default {
                 options: [
                     { value: 'application/json', label: { en: 'JSON' } },
                     { value: 'application/x-www-form-urlencoded', label: { en: 'Form URL Encoded' } },
+                    { value: 'multipart/form-data', label: { en: 'Multipart form data' } },
                 ],
             },
             defaultValue: 'application/json',
-            hidden: content => content.method === 'GET',
+            hidden: content => content.method === 'GET' || (content.transport || 'rest') !== 'rest',
         },
         headers: {
             label: { en: 'Headers' },
@@ -160,7 +309,7 @@ export default {
             section: 'settings',
             bindable: true,
             defaultValue: null,
-            hidden: content => content.method === 'GET',
+            hidden: content => content.method === 'GET' || (content.transport || 'rest') !== 'rest',
             /* wwEditor:start */
             bindingValidation: {
                 type: 'object',
@@ -168,17 +317,77 @@ export default {
             },
             /* wwEditor:end */
         },
+        graphqlQuery: {
+            label: { en: 'GraphQL query' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: '',
+            hidden: content => content.transport !== 'graphql',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip:
+                    'The GraphQL document. Query params and page params are passed as variables. Example: "query Posts($first: Int, $after: String) { posts(first: $first, after: $after) { edges { node { id title } } pageInfo { hasNextPage endCursor } } }"',
+            },
+            /* wwEditor:end */
+        },
+        graphqlVariables: {
+            label: { en: 'GraphQL variables' },
+            type: 'Object',
+            section: 'settings',
+            bindable: true,
+            defaultValue: {},
+            hidden: content => content.transport !== 'graphql',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'object',
+                tooltip: 'Base variables of the query. Query params and page params are merged in.',
+            },
+            /* wwEditor:end */
+        },
+        paginationMode: {
+            label: { en: 'Pagination mode' },
+            type: 'TextSelect',
+            section: 'settings',
+            options: {
+                options: [
+                    { value: 'page', label: { en: 'Page number' } },
+                    { value: 'offset', label: { en: 'Offset / limit' } },
+                    { value: 'cursor', label: { en: 'Cursor' } },
+                    { value: 'nextUrl', label: { en: 'Next URL' } },
+                    { value: 'connection', label: { en: 'GraphQL connection' } },
+                ],
+            },
+            defaultValue: 'page',
+        },
+        connectionPath: {
+            label: { en: 'Connection path' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: '',
+            hidden: content => content.paginationMode !== 'connection',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip:
+                    'Dot-notation path to the connection in the GraphQL data. Example: "posts" or "repository.issues". Pages are requested with the "first" and "after" variables, the next cursor is pageInfo.endCursor while pageInfo.hasNextPage is true, and the items are the edges ({ cursor, node }) unless Items path is set.',
+            },
+            /* wwEditor:end */
+        },
         pageParamKey: {
             label: { en: 'Page param key' },
             type: 'Text',
             section: 'settings',
             bindable: true,
-            defaultValue: 'page',
+            defaultValue: '',
+            hidden: content => content.paginationMode === 'nextUrl' || content.paginationMode === 'connection',
             /* wwEditor:start */
             bindingValidation: {
                 type: 'string',
                 tooltip:
-                    'The query parameter name used for pagination. For GET: appended as ?page=N. For POST: merged into body. Default: "page"',
+                    'The query parameter name used for pagination. For GET: appended as ?page=N. For POST: merged into body. Use e.g. "cursor" in cursor mode. Empty = "page", or "offset" in offset mode',
             },
             /* wwEditor:end */
         },
@@ -187,11 +396,68 @@ export default {
             type: 'Number',
             section: 'settings',
             bindable: true,
-            defaultValue: 1,
+            defaultValue: null,
+            hidden: content => ['cursor', 'nextUrl', 'connection'].includes(content.paginationMode),
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'number',
+                tooltip: 'The starting page parameter value. In offset mode this is the starting offset. Empty = 1, or 0 in offset mode',
+            },
+            /* wwEditor:end */
+        },
+        initialCursor: {
+            label: { en: 'Initial cursor' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: '',
+            hidden: content => content.paginationMode !== 'cursor' && content.paginationMode !== 'connection',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip: 'Cursor sent with the first request. Leave empty to request the first page without a cursor.',
+            },
+            /* wwEditor:end */
+        },
+        startPageParam: {
+            label: { en: 'Start page param' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: '',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip: 'Page loaded first, e.g. from a ?page=7 deep link. Lower pages stay reachable with Fetch previous page. Empty = initial page param / cursor.',
+            },
+            /* wwEditor:end */
+        },
+        pageSize: {
+            label: { en: 'Page size' },
+            type: 'Number',
+            section: 'settings',
+            bindable: true,
+            defaultValue: 20,
+            options: { min: 1, step: 1 },
+            hidden: content => content.paginationMode !== 'offset' && content.paginationMode !== 'connection',
             /* wwEditor:start */
             bindingValidation: {
                 type: 'number',
-                tooltip: 'The starting page parameter value. Default: 1',
+                tooltip: 'Number of items per page. In offset mode the offset advances by this amount, and a shorter page ends the list. In GraphQL connection mode it is sent as the "first" variable. Default: 20',
+            },
+            /* wwEditor:end */
+        },
+        limitParamKey: {
+            label: { en: 'Limit param key' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: 'limit',
+            hidden: content => content.paginationMode !== 'offset',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip: 'The query parameter name carrying the page size. Default: "limit"',
             },
             /* wwEditor:end */
         },
@@ -205,7 +471,7 @@ export default {
             bindingValidation: {
                 type: 'string',
                 tooltip:
-                    'Dot-notation path to extract the next page param from the API response. Example: "meta.nextPage" or "pagination.next". If empty, uses currentPage + 1. If the value at this path is null/undefined, hasNextPage becomes false.',
+                    'Dot-notation path to extract the next page param from the API response. Example: "meta.nextPage", "meta.nextCursor" or "links.next". Required in cursor and next URL modes. If empty in page/offset mode, the next page is computed. If the value at this path is null/undefined, hasNextPage becomes false.',
             },
             /* wwEditor:end */
         },
@@ -219,10 +485,91 @@ export default {
             bindingValidation: {
                 type: 'string',
                 tooltip:
-                    'Dot-notation path to extract the previous page param from the API response. Example: "meta.prevPage". If empty, uses currentPage - 1 (stops at initial page param).',
+                    'Dot-notation path to extract the previous page param from the API response. Example: "meta.prevPage", "meta.prevCursor" or "links.prev". If empty in page/offset mode, uses the previous page/offset (stops at the initial page param). If empty in cursor/next URL mode, there is no previous page.',
+            },
+            /* wwEditor:end */
+        },
+        itemsPath: {
+            label: { en: 'Items path' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: '',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip:
+                    'Dot-notation path to the item list in a page response, used to build the flattened data. Example: "results", "items" or "payload.records". If empty, a page that is an array or has a "data" array is flattened.',
+            },
+            /* wwEditor:end */
+        },
+        totalCountPath: {
+            label: { en: 'Total count path' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: '',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip:
+                    'Dot-notation path to the total number of items in a page response, exposed as totalItems. Example: "meta.total"',
+            },
+            /* wwEditor:end */
+        },
+        selectPage: {
+            label: { en: 'Select per page' },
+            type: 'Formula',
+            section: 'settings',
+            defaultValue: null,
+        },
+        selectData: {
+            label: { en: 'Select data' },
+            type: 'Formula',
+            section: 'settings',
+            defaultValue: null,
+        },
+        itemIdPath: {
+            label: { en: 'Item id path' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: 'id',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip:
+                    'Dot-notation path to the unique id of an item. Used by the "Update item by id" and "Remove item" actions and by de-duplication. Default: "id"',
             },
             /* wwEditor:end */
         },
+        dedupeItems: {
+            label: { en: 'De-duplicate items' },
+            type: 'OnOff',
+            section: 'settings',
+            bindable: true,
+            defaultValue: false,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'boolean',
+                tooltip:
+                    'Remove items with the same id (Item id path) from the flattened data, e.g. when offset pages overlap after new items were inserted. The number of removed items is exposed as duplicateCount.',
+            },
+            /* wwEditor:end */
+        },
+        dedupeKeep: {
+            label: { en: 'Keep occurrence' },
+            type: 'TextSelect',
+            section: 'settings',
+            options: {
+                options: [
+                    { value: 'first', label: { en: 'First' } },
+                    { value: 'last', label: { en: 'Last' } },
+                ],
+            },
+            defaultValue: 'first',
+            hidden: content => !content.dedupeItems,
+        },
         maxPages: {
             label: { en: 'Max pages' },
             type: 'Number',
@@ -236,7 +583,144 @@ export default {
             /* wwEditor:start */
             bindingValidation: {
                 type: 'number',
-                tooltip: 'Maximum number of pages to keep in memory. 0 = unlimited. Default: 0',
+                tooltip: 'Maximum number of pages to keep in memory. Older pages are evicted and re-loaded when scrolling back. 0 = unlimited. Default: 0',
+            },
+            /* wwEditor:end */
+        },
+        prefetchNextPage: {
+            label: { en: 'Prefetch next page' },
+            type: 'OnOff',
+            section: 'settings',
+            bindable: true,
+            defaultValue: false,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'boolean',
+                tooltip: 'Request the next page in the background after each page, so Fetch next page resolves instantly.',
+            },
+            /* wwEditor:end */
+        },
+        autoFetch: {
+            label: { en: 'Auto fetch on scroll' },
+            type: 'OnOff',
+            section: 'settings',
+            bindable: true,
+            defaultValue: false,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'boolean',
+                tooltip: 'Fetch the next page when the end of the list scrolls into view (IntersectionObserver). Disabled while editing.',
+            },
+            /* wwEditor:end */
+        },
+        autoFetchPrevious: {
+            label: { en: 'Auto fetch previous page' },
+            type: 'OnOff',
+            section: 'settings',
+            bindable: true,
+            defaultValue: false,
+            hidden: content => !content.autoFetch,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'boolean',
+                tooltip: 'Also fetch the previous page when the start of the list scrolls into view.',
+            },
+            /* wwEditor:end */
+        },
+        sentinelRootMargin: {
+            label: { en: 'Trigger margin' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: '200px',
+            hidden: content => !content.autoFetch,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip: 'IntersectionObserver rootMargin: how far before the end of the list to start fetching, e.g. "200px". Default: 200px',
+            },
+            /* wwEditor:end */
+        },
+        sentinelThreshold: {
+            label: { en: 'Trigger threshold' },
+            type: 'Number',
+            section: 'settings',
+            bindable: true,
+            defaultValue: 0,
+            options: { min: 0, max: 1, step: 0.1 },
+            hidden: content => !content.autoFetch,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'number',
+                tooltip: 'IntersectionObserver threshold: visible fraction of the trigger element (0 to 1). Default: 0',
+            },
+            /* wwEditor:end */
+        },
+        autoFetchCooldown: {
+            label: { en: 'Auto fetch cooldown (ms)' },
+            type: 'Number',
+            section: 'settings',
+            bindable: true,
+            defaultValue: 300,
+            options: { min: 0, step: 100 },
+            hidden: content => !content.autoFetch,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'number',
+                tooltip: 'Minimum time between two automatic fetches. Default: 300',
+            },
+            /* wwEditor:end */
+        },
+        sentinelSelector: {
+            label: { en: 'Trigger element selector' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: '',
+            hidden: content => !content.autoFetch,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip: 'CSS selector of a child element to observe instead of the built-in trigger at the end of the list, e.g. ".load-more". Empty = built-in trigger.',
+            },
+            /* wwEditor:end */
+        },
+        keepPreviousData: {
+            label: { en: 'Keep previous data' },
+            type: 'OnOff',
+            section: 'settings',
+            bindable: true,
+            defaultValue: false,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'boolean',
+                tooltip: 'When the query key, endpoint or params change, keep showing the current pages (isPlaceholderData = true) until the first page of the new query arrives, instead of an empty loading state.',
+            },
+            /* wwEditor:end */
+        },
+        placeholderData: {
+            label: { en: 'Placeholder data' },
+            type: 'Object',
+            section: 'settings',
+            bindable: true,
+            defaultValue: null,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'object',
+                tooltip: 'First page shown while the real one loads (isPlaceholderData = true), with the same shape as an API response. Never written to the cache.',
+            },
+            /* wwEditor:end */
+        },
+        initialData: {
+            label: { en: 'Initial data' },
+            type: 'Object',
+            section: 'settings',
+            bindable: true,
+            defaultValue: null,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'object',
+                tooltip: 'First page used to seed an empty cache entry, as if it had just been fetched: it is cached and subject to stale time like a fetched one.',
             },
             /* wwEditor:end */
         },
@@ -278,7 +762,7 @@ export default {
             /* wwEditor:start */
             bindingValidation: {
                 type: 'number',
-                tooltip: 'Auto-refetch all pages every N ms. 0 = disabled.',
+                tooltip: 'Auto-refetch all loaded pages every N ms, in the background. 0 = disabled.',
             },
             /* wwEditor:end */
         },
@@ -287,11 +771,236 @@ export default {
             type: 'OnOff',
             section: 'settings',
             bindable: true,
+            defaultValue: true,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'boolean',
+                tooltip: 'Refetch the loaded pages in the background when the browser tab becomes visible again and the list is stale.',
+            },
+            /* wwEditor:end */
+        },
+        refetchOnReconnect: {
+            label: { en: 'Refetch on reconnect' },
+            type: 'OnOff',
+            section: 'settings',
+            bindable: true,
+            defaultValue: true,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'boolean',
+                tooltip: 'Refetch the loaded pages in the background when the network comes back and the list is stale. Requests made while offline are paused and resume on their own either way.',
+            },
+            /* wwEditor:end */
+        },
+        refetchConcurrency: {
+            label: { en: 'Refetch concurrency' },
+            type: 'Number',
+            section: 'settings',
+            bindable: true,
+            defaultValue: 4,
+            options: { min: 1, step: 1 },
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'number',
+                tooltip:
+                    'Max pages requested in parallel when refetching. Cursor / next URL pagination (and a Next page path) refetch one page after the other, since each page param comes from the previous response. Default: 4',
+            },
+            /* wwEditor:end */
+        },
+        refetchPageLimit: {
+            label: { en: 'Refetch page limit' },
+            type: 'Number',
+            section: 'settings',
+            bindable: true,
+            defaultValue: 0,
+            options: { min: 0, step: 1 },
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'number',
+                tooltip:
+                    'Only refetch the first N loaded pages; pages after them are dropped. 0 = refetch all loaded pages. Default: 0',
+            },
+            /* wwEditor:end */
+        },
+        retry: {
+            label: { en: 'Retries' },
+            type: 'Number',
+            section: 'settings',
+            bindable: true,
+            defaultValue: 3,
+            options: { min: 0, step: 1 },
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'number',
+                tooltip:
+                    'Number of times a failed page request is retried before the query errors. Network errors, 5xx, 408 and 429 are retried; other 4xx are not. 0 = no retry. Default: 3',
+            },
+            /* wwEditor:end */
+        },
+        retryDelay: {
+            label: { en: 'Retry delay (ms)' },
+            type: 'Number',
+            section: 'settings',
+            bindable: true,
+            defaultValue: 0,
+            options: { min: 0, step: 500 },
+            hidden: content => content.retry === 0,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'number',
+                tooltip:
+                    'Fixed delay between retries. 0 = exponential backoff with jitter (1s, 2s, 4s… up to 30s). Default: 0',
+            },
+            /* wwEditor:end */
+        },
+        persist: {
+            label: { en: 'Persist to storage' },
+            type: 'OnOff',
+            section: 'settings',
+            bindable: true,
+            defaultValue: false,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'boolean',
+                tooltip:
+                    'Save successful pages of this query key to browser storage, so a hard reload shows them instantly (as stale data, refetched in the background). Keep disabled for auth-sensitive data.',
+            },
+            /* wwEditor:end */
+        },
+        persistStorage: {
+            label: { en: 'Storage' },
+            type: 'TextSelect',
+            section: 'settings',
+            options: {
+                options: [
+                    { value: 'localStorage', label: { en: 'localStorage' } },
+                    { value: 'indexedDB', label: { en: 'IndexedDB' } },
+                ],
+            },
+            defaultValue: 'localStorage',
+            hidden: content => !content.persist,
+        },
+        persistMaxAge: {
+            label: { en: 'Persist max age (ms)' },
+            type: 'Number',
+            section: 'settings',
+            bindable: true,
+            defaultValue: 86400000,
+            options: { min: 0, step: 60000 },
+            hidden: content => !content.persist,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'number',
+                tooltip: 'Persisted data older than this is discarded on startup. Default: 86400000 (24h)',
+            },
+            /* wwEditor:end */
+        },
+        persistBuster: {
+            label: { en: 'Persist buster' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: '',
+            hidden: content => !content.persist,
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip:
+                    'Version string of the persisted data. Change it (e.g. when the API response shape changes) to discard everything stored by previous versions.',
+            },
+            /* wwEditor:end */
+        },
+        syncTabs: {
+            label: { en: 'Sync across tabs' },
+            type: 'OnOff',
+            section: 'settings',
+            bindable: true,
             defaultValue: false,
             /* wwEditor:start */
             bindingValidation: {
                 type: 'boolean',
-                tooltip: 'Refetch all pages when the browser tab becomes visible again.',
+                tooltip:
+                    'Share invalidations, removals and fetched pages of this query key with the other open tabs of the app (BroadcastChannel).',
+            },
+            /* wwEditor:end */
+        },
+        realtimeUrl: {
+            label: { en: 'Realtime URL' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: '',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip: 'Server-Sent Events or WebSocket URL pushing live updates for this list. Empty = no real-time updates.',
+            },
+            /* wwEditor:end */
+        },
+        realtimeTransport: {
+            label: { en: 'Realtime transport' },
+            type: 'TextSelect',
+            section: 'settings',
+            options: {
+                options: [
+                    { value: 'sse', label: { en: 'Server-Sent Events' } },
+                    { value: 'websocket', label: { en: 'WebSocket' } },
+                ],
+            },
+            defaultValue: 'sse',
+            hidden: content => !content.realtimeUrl,
+        },
+        realtimeAction: {
+            label: { en: 'On realtime message' },
+            type: 'TextSelect',
+            section: 'settings',
+            options: {
+                options: [
+                    { value: 'merge', label: { en: 'Merge item into pages' } },
+                    { value: 'invalidate', label: { en: 'Invalidate and refetch' } },
+                ],
+            },
+            defaultValue: 'merge',
+            hidden: content => !content.realtimeUrl,
+        },
+        realtimeInsertPosition: {
+            label: { en: 'Insert new items at' },
+            type: 'TextSelect',
+            section: 'settings',
+            options: {
+                options: [
+                    { value: 'start', label: { en: 'Start' } },
+                    { value: 'end', label: { en: 'End' } },
+                ],
+            },
+            defaultValue: 'start',
+            hidden: content => !content.realtimeUrl || content.realtimeAction === 'invalidate',
+        },
+        realtimeTypePath: {
+            label: { en: 'Message type path' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: 'type',
+            hidden: content => !content.realtimeUrl || content.realtimeAction === 'invalidate',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip: 'Dot-path to the message type: "insert", "update" or "delete". Default: type',
+            },
+            /* wwEditor:end */
+        },
+        realtimeItemPath: {
+            label: { en: 'Message item path' },
+            type: 'Text',
+            section: 'settings',
+            bindable: true,
+            defaultValue: 'item',
+            hidden: content => !content.realtimeUrl || content.realtimeAction === 'invalidate',
+            /* wwEditor:start */
+            bindingValidation: {
+                type: 'string',
+                tooltip: 'Dot-path to the item in the message. Its id is read at Item id path. Default: item',
             },
             /* wwEditor:end */
         },
@@ -308,5 +1017,11 @@ export default {
             },
             /* wwEditor:end */
         },
+        devtools: {
+            label: { en: 'Show cache devtools' },
+            type: 'OnOff',
+            section: 'settings',
+            defaultValue: false,
+        },
     },
 };